@@ -136,10 +136,18 @@ Class SocketServer {
 	 */
 	protected $listeners = array();
 
+	/**
+	 * Supported WebSocket sub-protocols.
+	 *
+	 * @var string[]
+	 */
+	protected $protocols = array();
+
 	const FIN                  = 128;
 	const MASK                 = 128;
 	const OPCODE_CONTINUATION  = 0;
 	const OPCODE_TEXT          = 1;
+	const OPCODE_BINARY        = 2;
 	const PAYLOAD_LENGTH_16    = 126;
 	const PAYLOAD_LENGTH_63    = 127;
 
@@ -215,6 +223,43 @@ Class SocketServer {
 		$this->port = $port;
 	}
 
+	/**
+	 * Sets the supported WebSocket sub-protocols.
+	 *
+	 * During the handshake the first protocol requested by the client that is
+	 * also in this list is chosen.
+	 *
+	 * @param string[] $protocols Supported protocol names
+	 */
+	public function setProtocols(array $protocols) {
+		$this->protocols = $protocols;
+	}
+
+	/**
+	 * Returns the supported WebSocket sub-protocols.
+	 *
+	 * @return string[]
+	 */
+	public function getProtocols() {
+		return $this->protocols;
+	}
+
+	/**
+	 * Chooses the sub-protocol to use from the ones requested by a client.
+	 *
+	 * @param string[] $requestedProtocols Protocols requested by the client
+	 * @return string|null Chosen protocol or null if none is supported
+	 */
+	public function selectProtocol(array $requestedProtocols) {
+		foreach ($requestedProtocols as $protocol) {
+			if (in_array(trim($protocol), $this->protocols)) {
+				return trim($protocol);
+			}
+		}
+
+		return null;
+	}
+
 	/**
 	 * Returns array of connected clients
 	 *
@@ -390,6 +435,7 @@ Class SocketServer {
 						continue;
 					}
 
+					$opcode = ord($buffer[0]) & 15;
 					$len = ord($buffer[1]) & 127;
 
 					$masks = null;
@@ -416,7 +462,11 @@ Class SocketServer {
 						if ($client->state == SocketClient::STATE_OPEN) {
 							$client->lastRecieveTime = time();
 
-							$this->log('< ['.$client->id.'] '.$message);
+							if ($opcode == self::OPCODE_BINARY) {
+								$this->log('< ['.$client->id.'] binary '.strlen($message).' bytes');
+							} else {
+								$this->log('< ['.$client->id.'] '.$message);
+							}
 
 							foreach ($this->listeners as $listener) {
 
@@ -515,14 +565,16 @@ Class SocketServer {
 	 * @param resource $socket Socket to send the message to
 	 * @param mixed $message Message to send
 	 * @param integer $bufferSize Buffer size to use
+	 * @param boolean $binary Should the message be sent as a binary frame
 	 * @throws Exception If something goes wrong
 	 */
 	public function send(
 		$socket,
 		$message,
-		$bufferSize = 4096
+		$bufferSize = 4096,
+		$binary = false
 	) {
-		$opcode = self::OPCODE_TEXT;
+		$opcode = $binary ? self::OPCODE_BINARY : self::OPCODE_TEXT;
 
 		if (is_object($message)) {
 			$message = (string)$message;
@@ -590,7 +642,11 @@ Class SocketServer {
 			$clientId = $client->id;
 		}
 
-		$this->log('> ['.$clientId.'] '.$message);
+		if ($binary) {
+			$this->log('> ['.$clientId.'] binary '.$messageLength.' bytes');
+		} else {
+			$this->log('> ['.$clientId.'] '.$message);
+		}
 
 		return true;
 	}
@@ -683,6 +739,15 @@ class SocketClient {
 	 */
 	public $lastSendTime = 0;
 
+	/**
+	 * WebSocket sub-protocol agreed on during the handshake.
+	 *
+	 * Null if the client did not request any supported protocol.
+	 *
+	 * @var string|null
+	 */
+	public $protocol = null;
+
 	/**
 	 * Any data associated with the user.
 	 *
@@ -732,15 +797,16 @@ class SocketClient {
 	 * Sends a message to the client
 	 *
 	 * @param mixed $message Message to send
+	 * @param boolean $binary Should the message be sent as a binary frame
 	 */
-	public function send($message) {
+	public function send($message, $binary = false) {
 		if ($this->state == self::STATE_CLOSED) {
 			throw new Exception(
 				'Unable to send message, connection has been closed'
 			);
 		}
 
-		$this->server->send($this->socket, $message);
+		$this->server->send($this->socket, $message, 4096, $binary);
 	}
 
 	/**
@@ -799,6 +865,12 @@ class SocketClient {
 			sha1($key.'258EAFA5-E914-47DA-95CA-C5AB0DC85B11', true)
 		);
 
+		if (isset($headers['Sec-WebSocket-Protocol'])) {
+			$this->protocol = $this->server->selectProtocol(
+				explode(',', $headers['Sec-WebSocket-Protocol'])
+			);
+		}
+
 		$headers = array(
 			'HTTP/1.1 101 Switching Protocols',
 			'Upgrade: websocket',
@@ -806,6 +878,10 @@ class SocketClient {
 			'Sec-WebSocket-Accept: '.$hash
 		);
 
+		if ($this->protocol !== null) {
+			$headers[] = 'Sec-WebSocket-Protocol: '.$this->protocol;
+		}
+
 		$headers = implode("\r\n", $headers)."\r\n\r\n";
 
 		$left = strlen($headers);
@@ -1,7 +1,8 @@
-var SocketCommand = function(controller, action, parameters) {
+var SocketCommand = function(controller, action, parameters, id) {
 	this.controller = controller;
 	this.action = action;
 	this.parameters = parameters || [];
+	this.id = id != null ? id : null;
 
 	this.getParam = function(name, def) {
 		if (typeof(this.parameters[name]) != 'undefined') {
@@ -16,364 +17,5038 @@ var SocketCommand = function(controller, action, parameters) {
 	}
 }
 
-var SocketClient = function(host, port) {
+var BinaryWriter = function() {
+	this.bytes = [];
+	this.scratch = new DataView(new ArrayBuffer(8));
+
+	this.uint8 = function(value) {
+		this.bytes.push(value & 0xFF);
+	}
+
+	this.int8 = function(value) {
+		this.uint8(value);
+	}
+
+	this.int16 = function(value) {
+		this.uint8(value);
+		this.uint8(value >> 8);
+	}
+
+	this.uint16 = function(value) {
+		this.int16(value);
+	}
+
+	this.int32 = function(value) {
+		this.int16(value);
+		this.int16(value >> 16);
+	}
+
+	this.uint32 = function(value) {
+		this.int32(value);
+	}
+
+	this.float64 = function(value) {
+		this.scratch.setFloat64(0, value, true);
+
+		for (var i = 0; i < 8; i++) {
+			this.uint8(this.scratch.getUint8(i));
+		}
+	}
+
+	// returns the utf-8 bytes of given string as a binary string
+	this.utf8 = function(value) {
+		return unescape(encodeURIComponent(value));
+	}
+
+	this.toArrayBuffer = function() {
+		var buffer = new Uint8Array(this.bytes.length);
+
+		buffer.set(this.bytes);
+
+		return buffer.buffer;
+	}
+}
+
+var BinaryReader = function(buffer) {
+	this.view = new DataView(buffer);
+	this.offset = 0;
+
+	this.require = function(length) {
+		if (this.offset + length > this.view.byteLength) {
+			throw 'Unexpected end of binary frame at byte ' + this.offset;
+		}
+	}
+
+	this.uint8 = function() {
+		this.require(1);
+
+		return this.view.getUint8(this.offset++);
+	}
+
+	this.int8 = function() {
+		this.require(1);
+
+		return this.view.getInt8(this.offset++);
+	}
+
+	this.int16 = function() {
+		this.require(2);
+		this.offset += 2;
+
+		return this.view.getInt16(this.offset - 2, true);
+	}
+
+	this.uint16 = function() {
+		this.require(2);
+		this.offset += 2;
+
+		return this.view.getUint16(this.offset - 2, true);
+	}
+
+	this.int32 = function() {
+		this.require(4);
+		this.offset += 4;
+
+		return this.view.getInt32(this.offset - 4, true);
+	}
+
+	this.uint32 = function() {
+		this.require(4);
+		this.offset += 4;
+
+		return this.view.getUint32(this.offset - 4, true);
+	}
+
+	this.float64 = function() {
+		this.require(8);
+		this.offset += 8;
+
+		return this.view.getFloat64(this.offset - 8, true);
+	}
+
+	this.utf8 = function(length) {
+		this.require(length);
+
+		var characters = [];
+
+		for (var i = 0; i < length; i++) {
+			characters.push(String.fromCharCode(this.view.getUint8(this.offset++)));
+		}
+
+		return decodeURIComponent(escape(characters.join('')));
+	}
+
+	this.isAtEnd = function() {
+		return this.offset >= this.view.byteLength;
+	}
+}
+
+var JsonCodec = function() {
+	this.name = 'json';
+	this.binary = false;
+
+	this.encode = function(data) {
+		return JSON.stringify(data);
+	}
+
+	// strips the framing bytes left by older draft-76 servers
+	this.decode = function(data) {
+		if (typeof(data) != 'string') {
+			throw 'Expected a text frame';
+		}
+
+		return JSON.parse(data.replace(/\0/, '').replace(/\255/, ''));
+	}
+}
+
+/*
+ * Compact binary codec, all numbers are little-endian.
+ *
+ * Every frame starts with an uint8 frame type:
+ * - 0x00 command: followed by a single value holding the command object
+ * - 0x01 extend-stroke: the points added to a stroke, the high-frequency traffic
+ *
+ * Extend-stroke frame after the frame type:
+ * - uint8 controller, 0 = "server" (sent by a client), 1 = "client" (broadcast)
+ * - uint32 user id, 0 when sent by a client
+ * - uint8 stroke id byte length, stroke id as ascii
+ * - uint16 number of points
+ * - int16 x, int16 y: absolute first point in whole pixels
+ * - int16 dx, int16 dy: every following point as delta from the previous one
+ * - float64 server time in milliseconds, only when broadcast to the clients
+ * - uint32 board version, only when broadcast to the clients
+ *
+ * Commands that do not fit the extend-stroke frame (other parameters, fractional
+ * or out of range coordinates, a correlation id) use the generic command frame.
+ *
+ * Values start with an uint8 tag:
+ * - 0x00 null, 0x01 false, 0x02 true
+ * - 0x03 int8, 0x04 int16, 0x05 int32, 0x06 float64
+ * - 0x07 string of up to 255 bytes: uint8 byte length, utf-8 bytes
+ * - 0x08 string: uint32 byte length, utf-8 bytes
+ * - 0x09 array: uint32 item count, values
+ * - 0x0A object: uint32 key count, string value and value pairs
+ */
+var BinaryCodec = function() {
+	this.name = 'binary';
+	this.binary = true;
+
+	this.FRAME = {
+		COMMAND: 0x00,
+		EXTEND_STROKE: 0x01
+	};
+
+	this.CONTROLLERS = ['server', 'client'];
+
+	this.TAG = {
+		NULL: 0x00,
+		FALSE: 0x01,
+		TRUE: 0x02,
+		INT8: 0x03,
+		INT16: 0x04,
+		INT32: 0x05,
+		FLOAT64: 0x06,
+		STRING8: 0x07,
+		STRING32: 0x08,
+		ARRAY: 0x09,
+		OBJECT: 0x0A
+	};
+
+	this.encode = function(data) {
+		var writer = new BinaryWriter();
+
+		if (this.isExtendStroke(data)) {
+			writer.uint8(this.FRAME.EXTEND_STROKE);
+			this.writeExtendStroke(writer, data);
+		} else {
+			writer.uint8(this.FRAME.COMMAND);
+			this.writeValue(writer, data);
+		}
+
+		return writer.toArrayBuffer();
+	}
+
+	this.decode = function(data) {
+		if (!(data instanceof ArrayBuffer)) {
+			throw 'Expected a binary frame';
+		}
+
+		var reader = new BinaryReader(data);
+		var frameType = reader.uint8();
+
+		if (frameType == this.FRAME.EXTEND_STROKE) {
+			return this.readExtendStroke(reader);
+		} else if (frameType != this.FRAME.COMMAND) {
+			throw 'Unsupported binary frame type ' + frameType;
+		}
+
+		return this.readValue(reader);
+	}
+
+	this.isExtendStroke = function(data) {
+		if (data.action != 'extend-stroke' || data.id != null) {
+			return false;
+		}
+
+		var controller = this.CONTROLLERS.indexOf(data.controller);
+		var params = data.parameters;
+
+		if (controller == -1 || params == null) {
+			return false;
+		}
+
+		for (var name in params) {
+			if (name != 'id' && name != 'stroke' && name != 'points' && name != 'time' && name != 'version') {
+				return false;
+			}
+		}
+
+		var userId = params.id != null ? params.id : 0;
+		var points = params.points;
+
+		if (
+			userId % 1 !== 0 || userId < 0 || userId > 4294967295
+			|| (userId == 0) != (controller == 0)
+			|| (controller == 0 ? params.time != null : typeof(params.time) != 'number')
+			|| (controller == 0 ? params.version != null : params.version % 1 !== 0 || params.version < 0 || params.version > 4294967295)
+			|| typeof(params.stroke) != 'string' || !/^[\x20-\x7E]{1,255}$/.test(params.stroke)
+			|| !(points instanceof Array) || points.length % 2 != 0 || points.length / 2 > 65535
+		) {
+			return false;
+		}
+
+		for (var i = 0; i < points.length; i++) {
+			if (!this.isInt16(points[i]) || (i >= 2 && !this.isInt16(points[i] - points[i - 2]))) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	this.writeExtendStroke = function(writer, data) {
+		var params = data.parameters;
+		var points = params.points;
+
+		writer.uint8(this.CONTROLLERS.indexOf(data.controller));
+		writer.uint32(params.id != null ? params.id : 0);
+		writer.uint8(params.stroke.length);
+
+		for (var i = 0; i < params.stroke.length; i++) {
+			writer.uint8(params.stroke.charCodeAt(i));
+		}
+
+		writer.uint16(points.length / 2);
+
+		for (var j = 0; j < points.length; j++) {
+			writer.int16(j < 2 ? points[j] : points[j] - points[j - 2]);
+		}
+
+		if (params.time != null) {
+			writer.float64(params.time);
+			writer.uint32(params.version);
+		}
+	}
+
+	this.readExtendStroke = function(reader) {
+		var controller = this.CONTROLLERS[reader.uint8()];
+		var userId = reader.uint32();
+		var strokeId = reader.utf8(reader.uint8());
+		var count = reader.uint16() * 2;
+		var points = [];
+
+		if (controller == null) {
+			throw 'Unknown extend-stroke controller';
+		}
+
+		for (var i = 0; i < count; i++) {
+			points.push(i < 2 ? reader.int16() : points[i - 2] + reader.int16());
+		}
+
+		var command = {
+			controller: controller,
+			action: 'extend-stroke',
+			parameters: {
+				stroke: strokeId,
+				points: points
+			}
+		};
+
+		if (userId != 0) {
+			command.parameters.id = userId;
+		}
+
+		if (controller == 'client') {
+			command.parameters.time = reader.float64();
+			command.parameters.version = reader.uint32();
+		}
+
+		return command;
+	}
+
+	this.isInt16 = function(value) {
+		return typeof(value) == 'number' && value % 1 === 0 && value >= -32768 && value <= 32767;
+	}
+
+	this.writeValue = function(writer, value) {
+		if (value == null) {
+			writer.uint8(this.TAG.NULL);
+		} else if (value === false) {
+			writer.uint8(this.TAG.FALSE);
+		} else if (value === true) {
+			writer.uint8(this.TAG.TRUE);
+		} else if (typeof(value) == 'number') {
+			this.writeNumber(writer, value);
+		} else if (typeof(value) == 'string') {
+			this.writeString(writer, value);
+		} else if (value instanceof Array) {
+			writer.uint8(this.TAG.ARRAY);
+			writer.uint32(value.length);
+
+			for (var i = 0; i < value.length; i++) {
+				this.writeValue(writer, value[i]);
+			}
+		} else if (typeof(value) == 'object') {
+			var keys = [];
+
+			for (var key in value) {
+				if (value.hasOwnProperty(key) && typeof(value[key]) != 'function') {
+					keys.push(key);
+				}
+			}
+
+			writer.uint8(this.TAG.OBJECT);
+			writer.uint32(keys.length);
+
+			for (var j = 0; j < keys.length; j++) {
+				this.writeString(writer, keys[j]);
+				this.writeValue(writer, value[keys[j]]);
+			}
+		} else {
+			throw 'Unable to encode value of type ' + typeof(value);
+		}
+	}
+
+	this.writeNumber = function(writer, value) {
+		if (value % 1 !== 0 || value < -2147483648 || value > 2147483647) {
+			writer.uint8(this.TAG.FLOAT64);
+			writer.float64(value);
+		} else if (value >= -128 && value <= 127) {
+			writer.uint8(this.TAG.INT8);
+			writer.int8(value);
+		} else if (value >= -32768 && value <= 32767) {
+			writer.uint8(this.TAG.INT16);
+			writer.int16(value);
+		} else {
+			writer.uint8(this.TAG.INT32);
+			writer.int32(value);
+		}
+	}
+
+	this.writeString = function(writer, value) {
+		var bytes = writer.utf8(value);
+
+		if (bytes.length <= 255) {
+			writer.uint8(this.TAG.STRING8);
+			writer.uint8(bytes.length);
+		} else {
+			writer.uint8(this.TAG.STRING32);
+			writer.uint32(bytes.length);
+		}
+
+		for (var i = 0; i < bytes.length; i++) {
+			writer.uint8(bytes.charCodeAt(i));
+		}
+	}
+
+	this.readValue = function(reader) {
+		var tag = reader.uint8();
+
+		switch (tag) {
+			case this.TAG.NULL: return null;
+			case this.TAG.FALSE: return false;
+			case this.TAG.TRUE: return true;
+			case this.TAG.INT8: return reader.int8();
+			case this.TAG.INT16: return reader.int16();
+			case this.TAG.INT32: return reader.int32();
+			case this.TAG.FLOAT64: return reader.float64();
+			case this.TAG.STRING8: return reader.utf8(reader.uint8());
+			case this.TAG.STRING32: return reader.utf8(reader.uint32());
+		}
+
+		var count = 0;
+		var i = 0;
+
+		if (tag == this.TAG.ARRAY) {
+			var items = [];
+
+			count = reader.uint32();
+
+			for (i = 0; i < count; i++) {
+				items.push(this.readValue(reader));
+			}
+
+			return items;
+		} else if (tag == this.TAG.OBJECT) {
+			var object = {};
+
+			count = reader.uint32();
+
+			for (i = 0; i < count; i++) {
+				var key = this.readValue(reader);
+
+				object[key] = this.readValue(reader);
+			}
+
+			return object;
+		}
+
+		throw 'Unknown binary value tag ' + tag;
+	}
+}
+
+var SocketClient = function(host, port, options) {
 	this.host = host;
 	this.port = port;
 	this.socket = null;
 	this.open = false;
 	this.callbacks = {};
+	this.options = {
+		reconnect: true,
+		reconnectDelay: 1000,
+		reconnectMaxDelay: 30000,
+		reconnectBackoff: 2,
+		reconnectJitter: 0.5,
+		reconnectMaxAttempts: null,
+		queue: false,
+		queueSize: 100,
+		queuePolicy: 'drop-oldest',
+		requestTimeout: 10000,
+		heartbeatInterval: 0,
+		heartbeatMaxMissed: 3,
+		heartbeatController: 'server',
+		latencySamples: 10,
+		codecs: null,
+		defaultCodec: 'json'
+	};
+	this.connected = false;
+	this.closing = false;
+	this.reconnectAttempts = 0;
+	this.reconnectTimeout = null;
+	this.queue = [];
+	this.lastRequestId = 0;
+	this.pendingRequests = {};
+	this.heartbeatInterval = null;
+	this.missedPongs = 0;
+	this.latencySamples = [];
+	// milliseconds the server clock is ahead of the local one, null until the
+	// first pong
+	this.clockOffset = null;
+	this.clockOffsetLatency = null;
+	this.codecs = [];
+	this.codec = null;
 
 	this.init = function() {
 		this.callbacks['onopen'] = [];
 		this.callbacks['onclose'] = [];
 		this.callbacks['onerror'] = [];
 		this.callbacks['onmessage'] = [];
+		this.callbacks['reconnecting'] = [];
+		this.callbacks['reconnected'] = [];
+		this.callbacks['overflow'] = [];
+		this.callbacks['latency'] = [];
+		this.callbacks['decode-error'] = [];
+
+		for (var name in options) {
+			this.options[name] = options[name];
+		}
+
+		var codecs = this.options.codecs || [new JsonCodec()];
+
+		for (var i = 0; i < codecs.length; i++) {
+			this.addCodec(codecs[i]);
+		}
+
+		this.connect();
+	}
+
+	this.connect = function() {
+		this.closing = false;
+		this.codec = null;
+		this.socket = new WebSocket(this.host + ':' + this.port, this.getProtocols());
+		this.socket.binaryType = 'arraybuffer';
+
+		var self = this;
+
+		this.socket.onopen = function(event) {
+			console.log('Open: "' + event + '"');
+			self.onSocketOpen.apply(self, [event]);
+		}
+
+		this.socket.onclose = function(event) {
+			console.log('Close: "' + event + '"');
+			self.onSocketClose.apply(self, [event]);
+		}
+
+		this.socket.onerror = function(event) {
+			console.log('Error: "' + event + '"');
+			self.onSocketError.apply(self, [event]);
+		}
+
+		this.socket.onmessage = function(message) {
+			console.log('Message: "' + message + '"');
+			self.onSocketMessage.apply(self, [message]);
+		}
+	}
+
+	// closes the connection for good, no reconnection is attempted
+	this.close = function() {
+		this.closing = true;
+
+		if (this.reconnectTimeout != null) {
+			window.clearTimeout(this.reconnectTimeout);
+
+			this.reconnectTimeout = null;
+		}
+
+		if (this.socket != null) {
+			this.socket.close();
+		}
+	}
+
+	this.addEventListener = function(type, callback) {
+		if (typeof(this.callbacks[type]) == 'undefined') {
+			this.callbacks[type] = [];
+		}
+
+		this.callbacks[type].push(callback);
+	}
+
+	// codecs added first are preferred, takes effect on next connect
+	this.addCodec = function(codec) {
+		this.codecs.push(codec);
+	}
+
+	this.getCodec = function(name) {
+		for (var i = 0; i < this.codecs.length; i++) {
+			if (this.codecs[i].name == name) {
+				return this.codecs[i];
+			}
+		}
+
+		return null;
+	}
+
+	// codec names double as the offered WebSocket sub-protocols
+	this.getProtocols = function() {
+		var protocols = [];
+
+		for (var i = 0; i < this.codecs.length; i++) {
+			protocols.push(this.codecs[i].name);
+		}
+
+		return protocols;
+	}
+
+	// calls the listeners of given type, stops when one of them returns false
+	this.fireEvent = function(type, args) {
+		var listeners = this.callbacks[type] || [];
+
+		args = [this].concat(args || []);
+
+		for (var key in listeners) {
+			if (listeners[key].apply(listeners[key], args) === false) {
+				return;
+			}
+		}
+	}
+
+	this.onSocketOpen = function(event) {
+		this.open = true;
+		this.codec = this.getCodec(this.socket.protocol) || this.getCodec(this.options.defaultCodec);
+
+		if (this.reconnectAttempts > 0) {
+			var attempts = this.reconnectAttempts;
+
+			this.reconnectAttempts = 0;
+
+			this.fireEvent('reconnected', [attempts, event]);
+		} else {
+			this.connected = true;
+
+			this.fireEvent('onopen', [event]);
+		}
+
+		this.flushQueue();
+		this.startHeartbeat();
+	}
+
+	// onclose is only fired once the connection is given up on, drops that
+	// are retried fire reconnecting instead
+	this.onSocketClose = function(event) {
+		this.open = false;
+
+		this.stopHeartbeat();
+		this.rejectPendingRequests('Connection lost');
+
+		if (this.connected && !this.closing && this.options.reconnect) {
+			var maxAttempts = this.options.reconnectMaxAttempts;
+
+			if (maxAttempts == null || this.reconnectAttempts < maxAttempts) {
+				this.scheduleReconnect(event);
+
+				return;
+			}
+		}
+
+		this.connected = false;
+		this.reconnectAttempts = 0;
+
+		this.fireEvent('onclose', [event]);
+	}
+
+	this.scheduleReconnect = function(event) {
+		var delay = this.getReconnectDelay(this.reconnectAttempts);
+		var self = this;
+
+		this.reconnectAttempts++;
+
+		this.fireEvent('reconnecting', [this.reconnectAttempts, delay, event]);
+
+		this.reconnectTimeout = window.setTimeout(function() {
+			self.reconnectTimeout = null;
+			self.connect();
+		}, delay);
+	}
+
+	// exponential backoff with the jitter taking off a random part of the delay
+	this.getReconnectDelay = function(attempt) {
+		var delay = Math.min(
+			this.options.reconnectDelay * Math.pow(this.options.reconnectBackoff, attempt),
+			this.options.reconnectMaxDelay
+		);
+
+		return Math.round(delay * (1 - this.options.reconnectJitter * Math.random()));
+	}
+
+	this.startHeartbeat = function() {
+		this.stopHeartbeat();
+
+		if (!(this.options.heartbeatInterval > 0)) {
+			return;
+		}
+
+		var self = this;
+
+		this.heartbeatInterval = window.setInterval(function() {
+			self.heartbeat();
+		}, this.options.heartbeatInterval);
+
+		// measures the latency and the server clock right away
+		this.heartbeat();
+	}
+
+	this.stopHeartbeat = function() {
+		if (this.heartbeatInterval != null) {
+			window.clearInterval(this.heartbeatInterval);
+
+			this.heartbeatInterval = null;
+		}
+
+		this.missedPongs = 0;
+	}
+
+	// a half-open connection never answers so after too many unanswered
+	// pings the connection is dropped and reconnected
+	this.heartbeat = function() {
+		if (this.missedPongs >= this.options.heartbeatMaxMissed) {
+			this.dropConnection('No pong received for ' + this.missedPongs + ' pings');
+
+			return;
+		}
+
+		var sentTime = (new Date()).getTime();
+		var self = this;
+
+		this.missedPongs++;
+
+		this.request(new SocketCommand(this.options.heartbeatController, 'ping', {time: sentTime}), {timeout: 0}).then(function(reply) {
+			var receivedTime = (new Date()).getTime();
+
+			self.missedPongs = 0;
+			self.addLatencySample(receivedTime - sentTime);
+			self.updateClockOffset(reply.getParam('serverTime'), sentTime, receivedTime);
+		}, function(error) {});
+	}
+
+	// the pong with the shortest round trip gives the best estimate, the server
+	// being assumed to reply halfway through it
+	this.updateClockOffset = function(serverTime, sentTime, receivedTime) {
+		var latency = receivedTime - sentTime;
+
+		if (serverTime == null || (this.clockOffsetLatency != null && latency > this.clockOffsetLatency)) {
+			return;
+		}
+
+		this.clockOffset = serverTime + latency / 2 - receivedTime;
+		this.clockOffsetLatency = latency;
+	}
+
+	// local time on the server clock, the local clock until it is measured
+	this.getServerTime = function() {
+		return Math.round((new Date()).getTime() + (this.clockOffset || 0));
+	}
+
+	// closes the socket without waiting for the closing handshake
+	this.dropConnection = function(reason) {
+		var socket = this.socket;
+
+		socket.onopen = socket.onclose = socket.onerror = socket.onmessage = null;
+		socket.close();
+
+		this.onSocketClose({code: 4000, reason: reason, wasClean: false});
+	}
+
+	this.addLatencySample = function(latency) {
+		this.latencySamples.push(latency);
+
+		if (this.latencySamples.length > this.options.latencySamples) {
+			this.latencySamples.shift();
+		}
+
+		this.fireEvent('latency', [latency, this.getLatencyStats()]);
+	}
+
+	// average round-trip time over the recent samples or null if not known yet
+	this.getLatency = function() {
+		if (this.latencySamples.length == 0) {
+			return null;
+		}
+
+		var total = 0;
+
+		for (var i = 0; i < this.latencySamples.length; i++) {
+			total += this.latencySamples[i];
+		}
+
+		return total / this.latencySamples.length;
+	}
+
+	this.getLatencyStats = function() {
+		var samples = this.latencySamples;
+		var stats = {
+			last: null,
+			average: this.getLatency(),
+			min: null,
+			max: null,
+			jitter: null,
+			samples: samples.length
+		};
+
+		if (samples.length == 0) {
+			return stats;
+		}
+
+		var jitter = 0;
+
+		stats.last = samples[samples.length - 1];
+		stats.min = Math.min.apply(Math, samples);
+		stats.max = Math.max.apply(Math, samples);
+
+		for (var i = 1; i < samples.length; i++) {
+			jitter += Math.abs(samples[i] - samples[i - 1]);
+		}
+
+		stats.jitter = samples.length > 1 ? jitter / (samples.length - 1) : 0;
+
+		return stats;
+	}
+
+	this.onSocketError = function(event) {
+		this.fireEvent('onerror', [event]);
+	}
+
+	// replies to pending requests are not passed on to onmessage listeners
+	this.onSocketMessage = function(message) {
+		var command = this.decodeCommand(message.data);
+
+		// replies to requests that timed out or were rejected are dropped
+		if (command != null && command.id != null) {
+			if (typeof(this.pendingRequests[command.id]) != 'undefined') {
+				this.resolveRequest(command);
+			}
+
+			return;
+		}
+
+		this.fireEvent('onmessage', [message, command]);
+	}
+
+	// returns null and fires decode-error if the data can not be decoded
+	this.decodeCommand = function(data) {
+		var request = null;
+
+		try {
+			request = this.codec.decode(data);
+		} catch (e) {
+			this.fireEvent('decode-error', [e, data]);
+
+			return null;
+		}
+
+		if (request == null || typeof(request.action) == 'undefined') {
+			return null;
+		}
+
+		return new SocketCommand(request.controller, request.action, request.parameters, request.id);
+	}
+
+	// returns false if the command was queued to be sent once the socket opens
+	this.send = function(command) {
+		if (!this.open) {
+			if (!this.options.queue) {
+				throw 'Unable to send command, socket is not open';
+			}
+
+			this.enqueue(command);
+
+			return false;
+		}
+
+		this.transmit(command);
+
+		return true;
+	}
+
+	this.transmit = function(command) {
+		var data = {
+			controller: command.controller,
+			action: command.action,
+			parameters: command.parameters
+		};
+
+		if (command.id != null) {
+			data.id = command.id;
+		}
+
+		this.socket.send(this.codec.encode(data));
+	}
+
+	// sends the command and resolves with the reply carrying the same id,
+	// rejects on timeout, lost connection or an error reply
+	this.request = function(command, options) {
+		var timeout = options && options.timeout != null ? options.timeout : this.options.requestTimeout;
+		var self = this;
+
+		command.id = ++this.lastRequestId;
+
+		return new Promise(function(resolve, reject) {
+			var pending = {
+				command: command,
+				resolve: resolve,
+				reject: reject,
+				timeout: null
+			};
+
+			if (timeout > 0) {
+				pending.timeout = window.setTimeout(function() {
+					delete self.pendingRequests[command.id];
+
+					reject(self.createError('Request "' + command.action + '" timed out after ' + timeout + 'ms', 'timeout', command));
+				}, timeout);
+			}
+
+			self.pendingRequests[command.id] = pending;
+
+			try {
+				self.send(command);
+			} catch (e) {
+				window.clearTimeout(pending.timeout);
+				delete self.pendingRequests[command.id];
+
+				reject(self.createError(e, 'send', command));
+			}
+		});
+	}
+
+	this.resolveRequest = function(reply) {
+		var pending = this.pendingRequests[reply.id];
+
+		window.clearTimeout(pending.timeout);
+		delete this.pendingRequests[reply.id];
+
+		if (reply.action == 'error') {
+			pending.reject(this.createError(reply.getParam('message', 'Unknown error'), reply.getParam('code', 0), pending.command));
+		} else {
+			pending.resolve(reply);
+		}
+	}
+
+	this.rejectPendingRequests = function(message) {
+		var pendingRequests = this.pendingRequests;
+
+		this.pendingRequests = {};
+
+		for (var id in pendingRequests) {
+			window.clearTimeout(pendingRequests[id].timeout);
+
+			pendingRequests[id].reject(this.createError(message, 'closed', pendingRequests[id].command));
+		}
+	}
+
+	this.createError = function(message, code, command) {
+		var error = new Error(message);
+
+		error.code = code;
+		error.command = command;
+
+		return error;
+	}
+
+	// adds command to the outgoing queue, applying the drop policy when full
+	this.enqueue = function(command) {
+		if (this.queue.length < this.options.queueSize) {
+			this.queue.push(command);
+
+			return;
+		}
+
+		var policy = this.options.queuePolicy;
+		var dropped = null;
+
+		if (policy == 'drop-newest') {
+			dropped = command;
+		} else {
+			if (policy == 'coalesce') {
+				for (var i = this.queue.length - 1; i >= 0; i--) {
+					if (
+						this.queue[i].controller == command.controller
+						&& this.queue[i].action == command.action
+					) {
+						dropped = this.queue.splice(i, 1)[0];
+
+						break;
+					}
+				}
+			}
+
+			if (dropped == null) {
+				dropped = this.queue.shift();
+			}
+
+			this.queue.push(command);
+		}
+
+		this.fireEvent('overflow', [dropped, policy, this.queue.length]);
+	}
+
+	this.flushQueue = function() {
+		while (this.open && this.queue.length > 0) {
+			this.transmit(this.queue.shift());
+		}
+	}
+
+	this.clearQueue = function() {
+		this.queue = [];
+	}
+
+	this.init();
+}
+
+var SocketRouter = function() {
+	this.controllers = {};
+	this.callbacks = {};
+
+	this.init = function() {
+		this.callbacks['error'] = [];
+	}
+
+	this.addController = function(name, controller) {
+		this.controllers[name] = controller;
+	}
+
+	this.removeController = function(name) {
+		delete this.controllers[name];
+	}
+
+	this.getController = function(name) {
+		if (typeof(this.controllers[name]) != 'undefined') {
+			return this.controllers[name];
+		} else {
+			return null;
+		}
+	}
+
+	this.addEventListener = function(type, callback) {
+		if (typeof(this.callbacks[type]) == 'undefined') {
+			this.callbacks[type] = [];
+		}
+
+		this.callbacks[type].push(callback);
+	}
+
+	this.fireEvent = function(type, args) {
+		var listeners = this.callbacks[type] || [];
+
+		args = [this].concat(args || []);
+
+		for (var key in listeners) {
+			if (listeners[key].apply(listeners[key], args) === false) {
+				return;
+			}
+		}
+	}
+
+	// calls the controller action, returns false and fires error when that fails
+	this.route = function(command) {
+		if (command == null || command.controller == null || command.action == null) {
+			this.fireEvent('error', ['Unable to route message, no controller or action given', command, null]);
+
+			return false;
+		}
+
+		var controller = this.getController(command.controller);
+
+		if (controller == null) {
+			this.fireEvent('error', ['Controller "' + command.controller + '" not found', command, null]);
+
+			return false;
+		}
+
+		var actionName = this.getActionName(command.action);
+
+		if (typeof(controller[actionName]) != 'function') {
+			this.fireEvent('error', ['Controller method "' + command.controller + '.' + actionName + '" is not callable', command, null]);
+
+			return false;
+		}
+
+		try {
+			controller[actionName](command);
+		} catch (e) {
+			this.fireEvent('error', ['Controller method "' + command.controller + '.' + actionName + '" failed: ' + e, command, e]);
+
+			return false;
+		}
+
+		return true;
+	}
+
+	// convert "add-user" to "addUserAction" etc
+	this.getActionName = function(requestedAction) {
+		var actionName = requestedAction;
+
+		do {
+			var dashPos = actionName.indexOf('-');
+
+			if (dashPos == -1) {
+				break;
+			}
+
+			actionName = actionName.substr(0, dashPos) + actionName.substr(dashPos + 1, 1).toUpperCase() + actionName.substr(dashPos + 2);
+		} while (true);
+
+		return actionName + 'Action';
+	}
+
+	this.init();
+}
+
+var TOOL = {
+	PEN: 'pen',
+	ERASER: 'eraser',
+	LINE: 'line',
+	RECTANGLE: 'rectangle',
+	ELLIPSE: 'ellipse',
+	TEXT: 'text',
+	SELECT: 'select',
+	REGION: 'region',
+	IMAGE: 'image'
+};
+
+// the pixel eraser draws strokes that erase what is below them, the stroke
+// eraser deletes the strokes it crosses
+var ERASER = {
+	PIXEL: 'pixel',
+	STROKE: 'stroke'
+};
+
+var Stroke = function(id, author, tool, color, width, opacity) {
+	this.id = id;
+	this.author = author;
+	this.tool = tool || TOOL.PEN;
+	this.color = color;
+	this.width = width || 3;
+	this.opacity = opacity || 1;
+	this.points = [];
+	this.text = null;
+	this.timeline = [];
+	this.startTime = null;
+	this.updateTime = null;
+	this.endTime = null;
+	this.deleted = false;
+	this.deleteTime = null;
+	// moved, scaled and rotated around the center of its bounds by the select
+	// tool, null while it is where it was drawn
+	this.transform = null;
+	// Lamport clock of the insert and of the last update of every field
+	this.clock = null;
+	this.clocks = {};
+
+	// points are given as a flat list of x, y pairs, shapes use the start and
+	// end point of the drag and text only the top-left corner
+	this.addPoints = function(points, time) {
+		time = time || (new Date()).getTime();
+
+		for (var i = 0; i < points.length; i++) {
+			this.points.push(points[i]);
+		}
+
+		if (this.startTime == null) {
+			this.startTime = time;
+		}
+
+		this.timeline.push([this.getPointCount(), time]);
+		this.updateTime = time;
+	}
+
+	this.getPointCount = function() {
+		return this.points.length / 2;
+	}
+
+	// number of points the stroke had at given time, used by the replay
+	this.getPointCountAt = function(time) {
+		var count = 0;
+
+		for (var i = 0; i < this.timeline.length && this.timeline[i][1] <= time; i++) {
+			count = this.timeline[i][0];
+		}
+
+		return count;
+	}
+
+	this.getLastPoint = function() {
+		return this.points.slice(-2);
+	}
+
+	this.finish = function(time) {
+		this.endTime = time || (new Date()).getTime();
+	}
+
+	this.isFinished = function() {
+		return this.endTime != null;
+	}
+
+	this.isFreehand = function() {
+		return this.tool == TOOL.PEN || this.tool == TOOL.ERASER;
+	}
+
+	// stroke ids start with the session that drew them, which unlike the
+	// author survives reconnects and server restarts
+	this.getSession = function() {
+		return this.id.substr(0, this.id.indexOf('-'));
+	}
+
+	// rotation is in degrees like the rotation of the canvas
+	this.getTransform = function() {
+		return this.transform || {x: 0, y: 0, scale: 1, rotation: 0};
+	}
+
+	this.toData = function() {
+		return {
+			id: this.id,
+			author: this.author,
+			tool: this.tool,
+			color: this.color,
+			width: this.width,
+			opacity: this.opacity,
+			points: this.points,
+			text: this.text,
+			timeline: this.timeline,
+			startTime: this.startTime,
+			updateTime: this.updateTime,
+			endTime: this.endTime,
+			deleted: this.deleted,
+			deleteTime: this.deleteTime,
+			transform: this.transform,
+			clock: this.clock,
+			clocks: this.clocks
+		};
+	}
+}
+
+Stroke.fromData = function(data) {
+	var stroke = new Stroke(data.id, data.author, data.tool, data.color, data.width, data.opacity);
+
+	stroke.points = data.points || [];
+	stroke.text = data.text || null;
+	stroke.timeline = data.timeline || [[stroke.getPointCount(), data.startTime]];
+	stroke.startTime = data.startTime;
+	stroke.updateTime = data.updateTime;
+	stroke.endTime = data.endTime;
+	stroke.deleted = data.deleted ? true : false;
+	stroke.deleteTime = data.deleteTime || null;
+	stroke.transform = data.transform || null;
+	stroke.clock = data.clock || null;
+	stroke.clocks = data.clocks || {};
+
+	return stroke;
+}
+
+// conflict-free document of the board strokes, every peer applying the same
+// operations ends up with the same board whatever order they arrive in:
+// - strokes are ordered by the Lamport clock of their insert, a counter and
+//   site pair, ties broken by site and then by stroke id
+// - updates are last-writer-wins per field by the clock they were made at,
+//   updates of strokes not inserted yet are kept until they are
+// - deleting a stroke updates its deleted field, so undo and redo are updates
+// Needs no browser so that it can be run headless.
+var BoardDocument = function(site) {
+	this.site = site;
+	this.counter = 0;
+	this.strokes = {};
+	this.order = [];
+	this.pending = {};
+
+	// clock for an operation made here
+	this.tick = function() {
+		return [++this.counter, this.site];
+	}
+
+	this.observe = function(clock) {
+		if (clock != null && clock[0] > this.counter) {
+			this.counter = clock[0];
+		}
+	}
+
+	// inserting a stroke again merges the fields of both copies
+	this.insert = function(stroke) {
+		var existing = this.getStroke(stroke.id);
+
+		this.observe(stroke.clock);
+
+		if (existing != null) {
+			this.mergeFields(stroke, existing);
+			this.order.splice(this.order.indexOf(stroke.id), 1);
+		}
+
+		if (typeof(this.pending[stroke.id]) != 'undefined') {
+			this.mergeFields(stroke, this.pending[stroke.id]);
+
+			delete this.pending[stroke.id];
+		}
+
+		var index = this.order.length;
+
+		while (index > 0 && BoardDocument.compareStrokes(this.strokes[this.order[index - 1]], stroke) > 0) {
+			index--;
+		}
+
+		this.strokes[stroke.id] = stroke;
+		this.order.splice(index, 0, stroke.id);
+
+		return stroke;
+	}
+
+	// returns whether any of the fields changed
+	this.update = function(id, values, clock) {
+		var target = this.getStroke(id);
+		var changed = false;
+
+		this.observe(clock);
+
+		if (target == null) {
+			if (typeof(this.pending[id]) == 'undefined') {
+				this.pending[id] = {clocks: {}};
+			}
+
+			target = this.pending[id];
+		}
+
+		for (var name in values) {
+			changed = this.setField(target, name, values[name], clock) || changed;
+		}
+
+		return changed;
+	}
+
+	this.remove = function(id, time, clock) {
+		return this.update(id, {deleted: true, deleteTime: time}, clock);
+	}
+
+	// fields without a clock are only set when they have not been updated
+	this.setField = function(target, name, value, clock) {
+		var current = target.clocks[name];
+
+		if (current != null && (clock == null || BoardDocument.compareClocks(clock, current) <= 0)) {
+			return false;
+		}
+
+		target[name] = value;
+
+		if (clock != null) {
+			target.clocks[name] = clock;
+		}
+
+		return true;
+	}
+
+	this.mergeFields = function(target, source) {
+		for (var name in source.clocks) {
+			this.setField(target, name, source[name], source.clocks[name]);
+		}
+	}
+
+	this.getStroke = function(id) {
+		if (typeof(this.strokes[id]) != 'undefined') {
+			return this.strokes[id];
+		} else {
+			return null;
+		}
+	}
+
+	// the clock keeps counting so later operations still win
+	this.clear = function() {
+		this.strokes = {};
+		this.order = [];
+		this.pending = {};
+	}
+}
+
+// a missing clock sorts first, equal clocks are left to the stroke ids
+BoardDocument.compareClocks = function(a, b) {
+	a = a || [0, ''];
+	b = b || [0, ''];
+
+	if (a[0] != b[0]) {
+		return a[0] - b[0];
+	}
+
+	return a[1] < b[1] ? -1 : (a[1] > b[1] ? 1 : 0);
+}
+
+BoardDocument.compareStrokes = function(a, b) {
+	return BoardDocument.compareClocks(a.clock, b.clock) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+}
+
+var User = function(id, color, name, quality, presence, session) {
+	this.id = id;
+	this.color = color;
+	this.name = name || null;
+	this.quality = quality || 'unknown';
+	this.presence = presence || 'active';
+	this.session = session || null;
+}
+
+var escapeHtml = function(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// the server limits text in bytes of UTF-8
+var getByteLength = function(text) {
+	return unescape(encodeURIComponent(text)).length;
+}
+
+// routed as the "chat" controller next to the "client" one
+var Chat = function(app) {
+	this.app = app;
+	this.messages = [];
+	this.maxMessages = 200;
+	// bytes of UTF-8 in a message, the same limit as the server
+	this.maxLength = 1000;
+
+	this.init = function() {
+		var self = this;
+
+		$('#chat-input').keypress(function(e) {
+			if (e.keyCode == 13) {
+				if (self.say($(this).val())) {
+					$(this).val('');
+				}
+
+				return false;
+			}
+		});
+	}
+
+	// returns whether the message was sent, a message too long is kept in
+	// the input to be shortened
+	this.say = function(text) {
+		text = $.trim(text);
+
+		if (text == '') {
+			return true;
+		}
+
+		if (getByteLength(text) > this.maxLength) {
+			this.app.showError('Chat messages can be up to ' + this.maxLength + ' bytes long', true);
+
+			return false;
+		}
+
+		this.app.socket.send(new SocketCommand('chat', 'say', {text: text}));
+
+		return true;
+	}
+
+	this.requestHistory = function() {
+		var self = this;
+
+		this.app.socket.request(new SocketCommand('chat', 'request-history')).then(function(reply) {
+			self.historyAction(reply);
+		}, function(error) {
+			console.log('Loading the chat history failed: ' + error.message);
+		});
+	}
+
+	this.historyAction = function(command) {
+		var messages = command.getParam('messages', []);
+
+		this.messages = [];
+
+		$('#chat-messages').empty();
+
+		for (var i = 0; i < messages.length; i++) {
+			this.addMessage(messages[i]);
+		}
+	}
+
+	this.messageAction = function(command) {
+		this.addMessage({
+			number: command.getParam('number'),
+			author: command.getParam('author'),
+			name: command.getParam('name'),
+			color: command.getParam('color'),
+			text: command.getParam('text'),
+			time: command.getParam('time')
+		});
+	}
+
+	this.addMessage = function(message) {
+		this.messages.push(message);
+
+		if (this.messages.length > this.maxMessages) {
+			this.messages.shift();
+
+			$('#chat-messages DIV.chat-message:first').remove();
+		}
+
+		this.renderMessage(message);
+	}
+
+	// messages of users that have since left keep the name they were sent with
+	this.renderMessage = function(message) {
+		var user = this.app.users[message.author];
+		var name = message.name;
+		var color = message.color;
+
+		if (typeof(user) != 'undefined') {
+			name = user.name != null ? user.name : name;
+			color = user.color;
+		}
+
+		var container = $('#chat-messages');
+		var element = container.get(0);
+		var scrolledDown = element.scrollTop + element.clientHeight >= element.scrollHeight - 5;
+
+		container.append(
+			'<div class="chat-message">' +
+				'<span class="time">' + this.formatTime(message.time) + '</span>' +
+				'<span class="author" style="color: ' + escapeHtml(color) + ';">' + escapeHtml(name != null ? name : '#' + message.author) + '</span>' +
+				'<span class="text">' + escapeHtml(message.text) + '</span>' +
+			'</div>'
+		);
+
+		if (scrolledDown) {
+			element.scrollTop = element.scrollHeight;
+		}
+	}
+
+	this.formatTime = function(time) {
+		var date = new Date(time);
+		var hours = date.getHours();
+		var minutes = date.getMinutes();
+
+		return (hours < 10 ? '0' : '') + hours + ':' + (minutes < 10 ? '0' : '') + minutes;
+	}
+}
+
+// exports take the region in world coordinates and the sessions whose strokes
+// to include, null for the whole board and everyone
+var BoardExport = function(app) {
+	this.app = app;
+	// longest side of an exported PNG in pixels
+	this.maxPngSize = 8192;
+
+	this.getStrokes = function(sessions) {
+		var strokes = [];
+
+		for (var i = 0; i < this.app.document.order.length; i++) {
+			var stroke = this.app.document.strokes[this.app.document.order[i]];
+
+			if (stroke.deleted || (sessions != null && sessions.indexOf(stroke.getSession()) == -1)) {
+				continue;
+			}
+
+			strokes.push(stroke);
+		}
+
+		return strokes;
+	}
+
+	// strokes are rendered offscreen over the same box as the SVG export, so the
+	// export is not limited to the viewport and leaves out every other layer,
+	// boxes larger than maxPngSize are scaled down to fit
+	this.toPng = function(options) {
+		var app = this.app;
+		var strokes = this.getStrokes(options.sessions);
+		var box = options.region != null ? options.region : this.getBounds(strokes);
+		var zoom = Math.min(1, this.maxPngSize / Math.max(box.width, box.height));
+		var element = document.createElement('canvas');
+
+		element.width = Math.max(1, Math.ceil(box.width * zoom));
+		element.height = Math.max(1, Math.ceil(box.height * zoom));
+
+		var target = new Canvas(element, 0, null, false, null, true);
+		var view = {x: -box.x * zoom, y: -box.y * zoom, zoom: zoom};
+
+		target.lineCap(CAP.ROUND);
+
+		for (var i = 0; i < strokes.length; i++) {
+			app.renderStroke(strokes[i], 0, target, view);
+		}
+
+		if (options.background != null) {
+			target.setCompositeOperation(OP.DESTINATION_OVER);
+			target.fillColor(options.background);
+			target.fillRect(0, 0, element.width, element.height);
+		}
+
+		return element.toDataURL('image/png');
+	}
+
+	// erasers become masks over everything drawn before them
+	this.toSvg = function(options) {
+		var strokes = this.getStrokes(options.sessions);
+		var box = options.region != null ? options.region : this.getBounds(strokes);
+		var masks = [];
+		var content = '';
+
+		for (var i = 0; i < strokes.length; i++) {
+			var stroke = strokes[i];
+
+			if (stroke.tool == TOOL.ERASER) {
+				var maskId = 'erase-' + masks.length;
+
+				masks.push(
+					'<mask id="' + maskId + '" maskUnits="userSpaceOnUse" x="' + box.x + '" y="' + box.y + '" width="' + box.width + '" height="' + box.height + '">' +
+						'<rect x="' + box.x + '" y="' + box.y + '" width="' + box.width + '" height="' + box.height + '" fill="#FFFFFF"/>' +
+						this.getSvgElement(stroke, '#000000') +
+					'</mask>'
+				);
+
+				content = '<g mask="url(#' + maskId + ')">' + content + '</g>';
+			} else {
+				content += this.getSvgElement(stroke);
+			}
+		}
+
+		var background = '';
+
+		if (options.background != null) {
+			background = '<rect x="' + box.x + '" y="' + box.y + '" width="' + box.width + '" height="' + box.height + '" fill="' + escapeHtml(options.background) + '"/>';
+		}
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+			'<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" width="' + box.width + '" height="' + box.height + '" viewBox="' + [box.x, box.y, box.width, box.height].join(' ') + '">' +
+				(masks.length > 0 ? '<defs>' + masks.join('') + '</defs>' : '') +
+				background +
+				content +
+			'</svg>';
+	}
+
+	// the same transform as applyTransform() of the board
+	this.getSvgElement = function(stroke, color) {
+		var element = this.getSvgShape(stroke, color);
+
+		if (stroke.transform == null) {
+			return element;
+		}
+
+		var transform = stroke.transform;
+		var bounds = this.app.getStrokeBounds(stroke);
+		var cx = bounds.x + bounds.width / 2;
+		var cy = bounds.y + bounds.height / 2;
+
+		return '<g transform="translate(' + (cx + transform.x) + ' ' + (cy + transform.y) + ') rotate(' + transform.rotation + ') scale(' + transform.scale + ') translate(' + (-cx) + ' ' + (-cy) + ')">' + element + '</g>';
+	}
+
+	this.getSvgShape = function(stroke, color) {
+		var points = stroke.points;
+
+		color = escapeHtml(color || stroke.color);
+
+		var style = ' fill="none" stroke="' + color + '" stroke-width="' + stroke.width + '" stroke-opacity="' + stroke.opacity + '" stroke-linecap="round" stroke-linejoin="round"';
+
+		switch (stroke.tool) {
+			case TOOL.LINE:
+				return '<line x1="' + points[0] + '" y1="' + points[1] + '" x2="' + points[2] + '" y2="' + points[3] + '"' + style + '/>';
+
+			case TOOL.RECTANGLE:
+				return '<rect x="' + Math.min(points[0], points[2]) + '" y="' + Math.min(points[1], points[3]) + '" width="' + Math.abs(points[2] - points[0]) + '" height="' + Math.abs(points[3] - points[1]) + '"' + style + '/>';
+
+			case TOOL.ELLIPSE:
+				return '<ellipse cx="' + ((points[0] + points[2]) / 2) + '" cy="' + ((points[1] + points[3]) / 2) + '" rx="' + (Math.abs(points[2] - points[0]) / 2) + '" ry="' + (Math.abs(points[3] - points[1]) / 2) + '"' + style + '/>';
+
+			case TOOL.IMAGE:
+				var image = this.app.images[stroke.id];
+				var box = ' x="' + Math.min(points[0], points[2]) + '" y="' + Math.min(points[1], points[3]) + '" width="' + Math.abs(points[2] - points[0]) + '" height="' + Math.abs(points[3] - points[1]) + '"';
+
+				if (image == null || image.data == null) {
+					return '<rect' + box + ' fill="' + color + '" fill-opacity="' + (stroke.opacity * 0.25) + '"/>';
+				}
+
+				return '<image' + box + ' preserveAspectRatio="none" opacity="' + stroke.opacity + '" xlink:href="' + escapeHtml(image.data) + '"/>';
+
+			case TOOL.TEXT:
+				return '<text x="' + points[0] + '" y="' + points[1] + '" font-family="Tahoma, Geneva, sans-serif" font-size="' + this.app.getFontSize(stroke.width) + '" fill="' + color + '" fill-opacity="' + stroke.opacity + '" dominant-baseline="hanging">' + escapeHtml(stroke.text) + '</text>';
+		}
+
+		if (points.length == 2) {
+			return '<circle cx="' + points[0] + '" cy="' + points[1] + '" r="' + (stroke.width / 2) + '" fill="' + color + '" fill-opacity="' + stroke.opacity + '"/>';
+		}
+
+		var pairs = [];
+
+		for (var i = 0; i < points.length; i += 2) {
+			pairs.push(points[i] + ',' + points[i + 1]);
+		}
+
+		return '<polyline points="' + pairs.join(' ') + '"' + style + '/>';
+	}
+
+	// transformed strokes are covered by the corners of their bounds
+	this.getBounds = function(strokes) {
+		var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+		for (var i = 0; i < strokes.length; i++) {
+			var points = this.app.getStrokeCorners(strokes[i]);
+
+			for (var j = 0; j < points.length; j += 2) {
+				minX = Math.min(minX, points[j]);
+				minY = Math.min(minY, points[j + 1]);
+				maxX = Math.max(maxX, points[j]);
+				maxY = Math.max(maxY, points[j + 1]);
+			}
+		}
+
+		if (minX == Infinity) {
+			return {x: 0, y: 0, width: 1, height: 1};
+		}
+
+		return {
+			x: Math.floor(minX) - 10,
+			y: Math.floor(minY) - 10,
+			width: Math.ceil(maxX - minX) + 20,
+			height: Math.ceil(maxY - minY) + 20
+		};
+	}
+}
+
+// keeps the strokes of a room in the browser so they outlive the server and
+// the tab, in IndexedDB or in localStorage where that is not available
+var BoardStorage = function(room) {
+	this.room = room;
+	this.db = null;
+	this.dbName = 'collabdraw';
+	this.storeName = 'strokes';
+
+	// resolves with the storage once ready, falling back to localStorage
+	// when IndexedDB can not be opened
+	this.open = function() {
+		var self = this;
+
+		return new Promise(function(resolve) {
+			var request = null;
+
+			try {
+				request = window.indexedDB.open(self.dbName, 1);
+			} catch (e) {
+				resolve(self);
+
+				return;
+			}
+
+			request.onupgradeneeded = function() {
+				var store = request.result.createObjectStore(self.storeName, {keyPath: 'key'});
+
+				store.createIndex('room', 'room', {unique: false});
+			}
+
+			request.onsuccess = function() {
+				self.db = request.result;
+
+				resolve(self);
+			}
+
+			request.onerror = function() {
+				console.log('Opening IndexedDB failed, storing the board in localStorage');
+
+				resolve(self);
+			}
+		});
+	}
+
+	// resolves with the data of the stored strokes in board order
+	this.load = function() {
+		var self = this;
+
+		if (this.db == null) {
+			return Promise.resolve(this.sort(this.readFallback()));
+		}
+
+		return new Promise(function(resolve, reject) {
+			var store = self.db.transaction(self.storeName, 'readonly').objectStore(self.storeName);
+			var request = store.index('room').getAll(self.room);
+
+			request.onsuccess = function() {
+				resolve(self.sort(request.result));
+			}
+
+			request.onerror = function() {
+				reject(request.error);
+			}
+		});
+	}
+
+	// entries hold the stroke data and its position on the board
+	this.save = function(entries) {
+		var self = this;
+
+		if (this.db == null) {
+			try {
+				this.writeFallback(entries);
+			} catch (e) {
+				return Promise.reject(e);
+			}
+
+			return Promise.resolve();
+		}
+
+		return new Promise(function(resolve, reject) {
+			var transaction = self.db.transaction(self.storeName, 'readwrite');
+			var store = transaction.objectStore(self.storeName);
+
+			for (var i = 0; i < entries.length; i++) {
+				store.put({
+					key: self.room + '/' + entries[i].data.id,
+					room: self.room,
+					order: entries[i].order,
+					data: entries[i].data
+				});
+			}
+
+			transaction.oncomplete = function() {
+				resolve();
+			}
+
+			transaction.onerror = function() {
+				reject(transaction.error);
+			}
+		});
+	}
+
+	this.remove = function(ids) {
+		var self = this;
+
+		if (this.db == null) {
+			try {
+				this.removeFallback(ids);
+			} catch (e) {
+				return Promise.reject(e);
+			}
+
+			return Promise.resolve();
+		}
+
+		return new Promise(function(resolve, reject) {
+			var transaction = self.db.transaction(self.storeName, 'readwrite');
+			var store = transaction.objectStore(self.storeName);
+
+			for (var i = 0; i < ids.length; i++) {
+				store.delete(self.room + '/' + ids[i]);
+			}
+
+			transaction.oncomplete = function() {
+				resolve();
+			}
+
+			transaction.onerror = function() {
+				reject(transaction.error);
+			}
+		});
+	}
+
+	this.sort = function(entries) {
+		var strokes = [];
+
+		entries.sort(function(a, b) {
+			return a.order - b.order;
+		});
+
+		for (var i = 0; i < entries.length; i++) {
+			strokes.push(entries[i].data);
+		}
+
+		return strokes;
+	}
+
+	// the whole room is a single localStorage item keyed by stroke id
+	this.readFallback = function() {
+		var entries = [];
+		var stored = null;
+
+		try {
+			stored = JSON.parse(window.localStorage.getItem(this.getFallbackKey()) || '{}');
+		} catch (e) {
+			return entries;
+		}
+
+		for (var id in stored) {
+			entries.push(stored[id]);
+		}
+
+		return entries;
+	}
+
+	this.writeFallback = function(entries) {
+		var stored = {};
+		var existing = this.readFallback();
+
+		for (var i = 0; i < existing.length; i++) {
+			stored[existing[i].data.id] = existing[i];
+		}
+
+		for (var j = 0; j < entries.length; j++) {
+			stored[entries[j].data.id] = entries[j];
+		}
+
+		window.localStorage.setItem(this.getFallbackKey(), JSON.stringify(stored));
+	}
+
+	this.removeFallback = function(ids) {
+		var stored = {};
+		var existing = this.readFallback();
+
+		for (var i = 0; i < existing.length; i++) {
+			stored[existing[i].data.id] = existing[i];
+		}
+
+		for (var j = 0; j < ids.length; j++) {
+			delete stored[ids[j]];
+		}
+
+		window.localStorage.setItem(this.getFallbackKey(), JSON.stringify(stored));
+	}
+
+	this.getFallbackKey = function() {
+		return 'collabdraw-board-' + this.room;
+	}
+}
+
+var CollabDraw = function(host, port, options) {
+	this.canvas = null;
+	//this.layer = null;
+	this.previewLayer = null;
+	this.cursorLayer = null;
+	this.replayLayer = null;
+	this.selectionLayer = null;
+	this.socket = null;
+	this.router = null;
+	this.chat = null;
+	this.boardExport = null;
+	this.exportRegion = null;
+	this.replay = null;
+	this.room = null;
+	this.roomsInterval = null;
+	this.id = null;
+	this.color = null;
+	this.name = 'Unnamed';
+	this.quality = 'unknown';
+	this.presence = 'active';
+	this.users = {};
+	this.options = {
+		batchInterval: 0,
+		// screen pixels, the same at any zoom level
+		minPointDistance: 2,
+		cursorInterval: 50,
+		idleTimeout: 60000,
+		awayTimeout: 300000,
+		exportBackground: '#222222',
+		// milliseconds per animation frame spent rendering restored strokes
+		restoreRenderBudget: 8,
+		// called with the loaded and total stroke counts of a restore whenever
+		// a page arrives, and with done set once it is restored
+		onRestoreProgress: null,
+		storageInterval: 2000,
+		// screen pixels, the same at any zoom level
+		handleSize: 8,
+		hitTolerance: 4,
+		maxImageSize: 524288,
+		// base64 bytes per upload request, the server reads at most 4096
+		// bytes of a message
+		imageChunkSize: 3000,
+		// base64 bytes per imported stroke chunk, the same way
+		importChunkSize: 3000,
+		// longest side in screen pixels an image is scaled down to when placed
+		imagePlacementSize: 400,
+		// bytes of UTF-8 in a text shape
+		maxTextLength: 500,
+		// milliseconds errors the board can go on after are shown for
+		noticeDuration: 5000
+	};
+	this.sessionId = Math.random().toString(36).substr(2, 8);
+	// claims the session on the server, unlike the session id it is never
+	// shared with other users
+	this.sessionToken = null;
+	this.document = new BoardDocument(this.sessionId);
+	this.lastStrokeNumber = 0;
+	this.tool = TOOL.PEN;
+	this.eraserMode = ERASER.PIXEL;
+	this.brush = {
+		color: null,
+		width: 3,
+		opacity: 1
+	};
+	this.view = {
+		x: 0,
+		y: 0,
+		zoom: 1
+	};
+	this.pan = null;
+	this.pinch = null;
+	this.redrawTimeout = null;
+	this.restoring = null;
+	this.unreconciled = null;
+	this.storage = null;
+	this.storageInterval = null;
+	this.savedStrokes = {};
+	this.boardVersion = null;
+	this.pendingOperations = {};
+	this.requestingOperations = false;
+	this.renderQueue = [];
+	this.renderQueueTimeout = null;
+	this.images = {};
+	this.cursor = null;
+	this.cursors = {};
+	this.cursorTimeout = null;
+	this.lastCursorTime = 0;
+	this.lastActivity = (new Date()).getTime();
+	this.presenceInterval = null;
+	this.currentStroke = null;
+	this.currentShape = null;
+	this.selectedStroke = null;
+	this.selectionDrag = null;
+	this.erasing = null;
+	this.pendingPoints = null;
+	this.batchTimeout = null;
+	this.undoStack = [];
+	this.redoStack = [];
+	this.noticeTimeout = null;
+	// drawing commands the server versions, replies carry the board version
+	// as well but are never applied as one of these
+	this.operationActions = [
+		'begin-stroke',
+		'extend-stroke',
+		'end-stroke',
+		'add-line',
+		'add-rectangle',
+		'add-ellipse',
+		'add-text',
+		'add-image',
+		'import-strokes',
+		'undo-stroke',
+		'redo-stroke',
+		'transform-stroke',
+		'delete-stroke',
+		'board-version'
+	];
+
+	this.init = function() {
+		for (var name in options) {
+			this.options[name] = options[name];
+		}
+
+		this.sessionToken = this.createToken();
+
+		this.socket = new SocketClient(host, port, {
+			queue: true,
+			queueSize: 1000,
+			queuePolicy: 'drop-oldest',
+			heartbeatInterval: 5000,
+			heartbeatMaxMissed: 3,
+			codecs: [new BinaryCodec(), new JsonCodec()]
+		});
+
+		var self = this;
+
+		this.socket.addEventListener('onopen', function(socket, event) {
+			self.onSocketOpen.apply(self, [socket, event]);
+		});
+
+		this.socket.addEventListener('onclose', function(socket, event) {
+			self.onSocketClose.apply(self, [socket, event]);
+		});
+
+		this.socket.addEventListener('onerror', function(socket, event) {
+			self.onSocketError.apply(self, [socket, event]);
+		});
+
+		this.socket.addEventListener('onmessage', function(socket, message, command) {
+			self.onSocketMessage.apply(self, [socket, message, command]);
+		});
+
+		this.socket.addEventListener('reconnecting', function(socket, attempt, delay, event) {
+			self.onSocketReconnecting.apply(self, [socket, attempt, delay, event]);
+		});
+
+		this.socket.addEventListener('reconnected', function(socket, attempts, event) {
+			self.onSocketReconnected.apply(self, [socket, attempts, event]);
+		});
+
+		this.socket.addEventListener('overflow', function(socket, dropped, policy, length) {
+			self.onSocketOverflow.apply(self, [socket, dropped, policy, length]);
+		});
+
+		this.socket.addEventListener('latency', function(socket, latency, stats) {
+			self.onSocketLatency.apply(self, [socket, latency, stats]);
+		});
+
+		this.socket.addEventListener('decode-error', function(socket, error, data) {
+			self.onSocketDecodeError.apply(self, [socket, error, data]);
+		});
+
+		this.room = this.getRoomFromHash();
+
+		$('#rooms').delegate('A.room', 'click', function() {
+			self.joinRoom(this.hash.substr(1));
+
+			return false;
+		});
+
+		// switching to another board once joined starts over
+		$(window).bind('hashchange', function() {
+			if (self.room != null && self.getRoomFromHash() != self.room) {
+				window.location.reload();
+			}
+		});
+
+		this.chat = new Chat(this);
+		this.chat.init();
+
+		this.boardExport = new BoardExport(this);
+
+		this.router = new SocketRouter();
+		this.router.addController('client', this);
+		this.router.addController('chat', this.chat);
+
+		this.router.addEventListener('error', function(router, message, command, exception) {
+			self.onRouterError.apply(self, [router, message, command, exception]);
+		});
+	}
+
+	this.initCanvas = function() {
+		this.canvas = new Canvas('canvas', 0, this.drawBackground);
+		//this.layer = this.canvas.createLayer('animation', 60, this.drawFrame);
+
+		this.canvas.fillColor('#FF0000');
+		this.canvas.strokeColor('#FF0000');
+		this.canvas.lineWidth(3);
+		this.canvas.lineCap(CAP.ROUND);
+
+		this.canvas.scene.app = this;
+
+		this.canvas.onMouseScroll = function(delta, absolute) {
+			if (this.kb.ctrl) {
+				this.scene.app.zoomAt(this.mouse.x, this.mouse.y, Math.pow(1.1, delta));
+			} else {
+				this.scene.app.setBrushWidth(this.scene.app.brush.width + delta);
+			}
+		}
+
+		// the canvas reports screen coordinates, tools work in world coordinates
+		this.canvas.onMouseDown = function(x, y, button) {
+			var app = this.scene.app;
+
+			if (button == 2 || (button == 1 && this.kb.isDown(KC.SPACE))) {
+				app.beginPan(x, y);
+			} else if (button == 1) {
+				var point = app.toWorld(x, y);
+
+				app.toolDown(point[0], point[1]);
+			}
+		}
+
+		this.canvas.onMouseMove = function(x, y) {
+			var app = this.scene.app;
+			var point = app.toWorld(x, y);
+
+			app.moveCursor(point[0], point[1]);
+
+			if (app.pan != null) {
+				if (this.mouse.left || this.mouse.middle) {
+					app.updatePan(x, y);
+				} else {
+					app.endPan();
+				}
+			} else if (this.mouse.left) {
+				app.toolMove(point[0], point[1]);
+			} else if (app.isDrawing()) {
+				// the button was released outside of the canvas
+				app.toolUp();
+			}
+		}
+
+		this.canvas.onMouseUp = function(x, y, button) {
+			var app = this.scene.app;
+
+			if (app.pan != null) {
+				app.endPan();
+			} else if (button == 1) {
+				var point = app.toWorld(x, y);
+
+				app.toolUp(point[0], point[1]);
+			}
+		}
+
+		this.canvas.onKeyDown = function(keyCode, character, isCtrlPressed, isShiftPressed, isAltPressed) {
+			this.scene.app.markActive();
+
+			if (this.scene.app.isTyping()) {
+				return true;
+			}
+
+			// space is held down to pan, keep the page from scrolling
+			if (keyCode == KC.SPACE) {
+				return false;
+			}
+
+			if (keyCode == KC.DELETE && this.scene.app.selectedStroke != null) {
+				this.scene.app.deleteSelection();
+
+				return false;
+			}
+
+			if (!isCtrlPressed) {
+				return true;
+			}
+
+			if (keyCode == KC.Z && !isShiftPressed) {
+				this.scene.app.undo();
+			} else if ((keyCode == KC.Z && isShiftPressed) || keyCode == KC.Y) {
+				this.scene.app.redo();
+			} else {
+				return true;
+			}
+
+			return false;
+		}
+
+		// replays the board history over the hidden board, animated only while
+		// the replay is open
+		this.replayLayer = this.canvas.createLayer('replay', 30, function(frameDuration, totalDuration) {
+			this.scene.app.updateReplay(totalDuration);
+		}, null, false);
+		this.replayLayer.lineCap(CAP.ROUND);
+		this.replayLayer.scene.app = this;
+
+		// remote pointers are drawn in screen space below the preview layer
+		this.cursorLayer = this.canvas.createLayer('cursors', 0, null);
+
+		// outline and handles of the stroke selected with the select tool
+		this.selectionLayer = this.canvas.createLayer('selection', 0, null);
+
+		// rubber-band previews of shapes being dragged, covers the canvas so
+		// mouse events reach the canvas through the layer
+		this.previewLayer = this.canvas.createLayer('preview', 0, null);
+		this.previewLayer.lineCap(CAP.ROUND);
+		this.previewLayer.scene.app = this;
+
+		this.previewLayer.onMouseScroll = function(delta, absolute) {
+			this.getParent().onMouseScroll(delta, absolute);
+		}
+
+		// touches land on the topmost layer, two of them pinch to zoom
+		this.previewLayer.onTouchMove = function(info, index, count, previousInfo, event) {
+			if (event.touches.length != 2) {
+				this.scene.app.pinch = null;
+
+				return;
+			}
+
+			if (index == 0) {
+				this.scene.app.updatePinch(event.touches);
+			}
+
+			event.preventDefault();
+		}
+
+		this.previewLayer.onTouchEnd = function(info, index, count, event) {
+			this.scene.app.pinch = null;
+		}
+
+		this.initToolbar();
+		this.initPresence();
+		this.initStorage();
+		this.initImages();
+		this.chat.requestHistory();
+	}
+
+	this.initToolbar = function() {
+		var self = this;
+
+		// clicking the active eraser switches between its modes
+		$('A.tool').click(function() {
+			var tool = this.id.substr(5);
+
+			if (tool == TOOL.ERASER && self.tool == TOOL.ERASER) {
+				self.setEraserMode(self.eraserMode == ERASER.PIXEL ? ERASER.STROKE : ERASER.PIXEL);
+			} else {
+				self.setTool(tool);
+			}
+
+			return false;
+		});
+
+		$('#export-png').click(function() {
+			self.exportPng();
+
+			return false;
+		});
+
+		$('#export-svg').click(function() {
+			self.exportSvg();
+
+			return false;
+		});
+
+		$('#export-user').focus(function() {
+			self.renderExportUsers();
+		});
+
+		$('#replay-open').click(function() {
+			self.openReplay();
+
+			return false;
+		});
+
+		$('#replay-close').click(function() {
+			self.closeReplay();
+
+			return false;
+		});
+
+		$('#replay-play').click(function() {
+			if (self.replay != null && self.replay.playing) {
+				self.pauseReplay();
+			} else {
+				self.playReplay();
+			}
+
+			return false;
+		});
+
+		$('#replay-speed').change(function() {
+			self.setReplaySpeed(parseInt($(this).val(), 10));
+		});
+
+		$('#replay-scrubber').bind('mousedown touchstart', function() {
+			if (self.replay != null) {
+				self.replay.scrubbing = true;
+			}
+		}).bind('mouseup touchend change', function() {
+			if (self.replay != null) {
+				self.replay.scrubbing = false;
+				self.seekReplay(self.replay.start + (self.replay.end - self.replay.start) * $(this).val() / 1000);
+			}
+		});
+
+		$('#brush-color').change(function() {
+			self.setBrushColor($(this).val());
+		});
+
+		$('#brush-width').change(function() {
+			self.setBrushWidth(parseInt($(this).val(), 10));
+		});
+
+		$('#brush-opacity').change(function() {
+			self.setBrushOpacity(parseInt($(this).val(), 10) / 100);
+		});
+
+		this.setTool(this.tool);
+		this.setEraserMode(this.eraserMode);
+		this.setBrushWidth(this.brush.width);
+		this.setBrushOpacity(this.brush.opacity);
+	}
+
+	this.initPresence = function() {
+		var self = this;
+
+		$(document).bind('visibilitychange', function() {
+			self.updatePresence();
+		});
+
+		this.presenceInterval = window.setInterval(function() {
+			self.updatePresence();
+		}, 5000);
+	}
+
+	// images are dropped where they should be placed or pasted in the middle
+	// of the board
+	this.initImages = function() {
+		var self = this;
+
+		$('#canvas-container').bind('dragover', function(event) {
+			event.preventDefault();
+		}).bind('drop', function(event) {
+			var files = event.originalEvent.dataTransfer.files;
+			var rect = self.canvas.canvasElement.getBoundingClientRect();
+			var point = self.toWorld(event.originalEvent.clientX - rect.left, event.originalEvent.clientY - rect.top);
+
+			event.preventDefault();
+
+			for (var i = 0; i < files.length; i++) {
+				self.placeImage(files[i], point[0], point[1]);
+			}
+		});
+
+		$(document).bind('paste', function(event) {
+			var clipboard = event.originalEvent.clipboardData;
+
+			if (self.isTyping() || clipboard == null) {
+				return;
+			}
+
+			var items = clipboard.items;
+			var point = self.toWorld(self.canvas.getWidth() / 2, self.canvas.getHeight() / 2);
+
+			for (var i = 0; i < items.length; i++) {
+				if (items[i].kind == 'file') {
+					self.placeImage(items[i].getAsFile(), point[0], point[1]);
+				}
+			}
+		});
+	}
+
+	this.setTool = function(tool) {
+		if (this.isDrawing()) {
+			this.toolUp();
+		}
+
+		this.tool = tool;
+
+		if (tool != TOOL.SELECT) {
+			this.select(null);
+		}
+
+		$('A.tool').removeClass('active');
+		$('#tool-' + tool).addClass('active');
+	}
+
+	this.setEraserMode = function(mode) {
+		if (this.isDrawing()) {
+			this.toolUp();
+		}
+
+		this.eraserMode = mode;
+
+		$('#tool-eraser').text(mode == ERASER.STROKE ? 'Strokes' : 'Eraser');
+	}
+
+	this.isStrokeEraser = function() {
+		return this.tool == TOOL.ERASER && this.eraserMode == ERASER.STROKE;
+	}
+
+	this.markActive = function() {
+		this.lastActivity = (new Date()).getTime();
+
+		if (this.presence != 'active') {
+			this.updatePresence();
+		}
+	}
+
+	this.getPresence = function() {
+		var inactive = (new Date()).getTime() - this.lastActivity;
+
+		if (document.hidden || inactive >= this.options.awayTimeout) {
+			return 'away';
+		} else if (inactive >= this.options.idleTimeout) {
+			return 'idle';
+		} else {
+			return 'active';
+		}
+	}
+
+	this.updatePresence = function() {
+		var presence = this.getPresence();
+
+		if (presence == this.presence) {
+			return;
+		}
+
+		this.presence = presence;
+
+		this.socket.send(new SocketCommand('server', 'set-presence', {presence: presence}));
+	}
+
+	// sends the latest position at most once per cursorInterval milliseconds
+	this.moveCursor = function(x, y) {
+		this.cursor = [x, y];
+		this.markActive();
+
+		if (this.cursorTimeout != null) {
+			return;
+		}
+
+		var self = this;
+		var delay = Math.max(0, this.lastCursorTime + this.options.cursorInterval - (new Date()).getTime());
+
+		this.cursorTimeout = window.setTimeout(function() {
+			self.cursorTimeout = null;
+			self.sendCursor();
+		}, delay);
+	}
+
+	// stale positions are not worth queueing while disconnected
+	this.sendCursor = function() {
+		this.lastCursorTime = (new Date()).getTime();
+
+		if (!this.socket.open) {
+			return;
+		}
+
+		this.socket.send(new SocketCommand('server', 'cursor-moved', {
+			x: this.cursor[0],
+			y: this.cursor[1]
+		}));
+	}
+
+	// keyboard shortcuts are ignored while typing into a form field
+	this.isTyping = function() {
+		var element = document.activeElement;
+
+		return element != null && (element.tagName == 'INPUT' || element.tagName == 'TEXTAREA');
+	}
+
+	// world units match screen pixels at 100% zoom, coordinates are rounded to
+	// whole units to keep them compact on the wire, or to tenths when zoomed
+	// in so that drawing does not snap to a grid of several pixels
+	this.toWorld = function(x, y) {
+		var precision = this.view.zoom > 1 ? 10 : 1;
+
+		return [
+			Math.round((x - this.view.x) / this.view.zoom * precision) / precision,
+			Math.round((y - this.view.y) / this.view.zoom * precision) / precision
+		];
+	}
+
+	this.applyView = function(target, view) {
+		view = view || this.view;
+
+		target.translate(view.x, view.y);
+		target.scale(view.zoom, view.zoom);
+	}
+
+	this.beginPan = function(x, y) {
+		if (this.isDrawing()) {
+			this.toolUp();
+		}
+
+		this.pan = {x: x, y: y};
+	}
+
+	this.updatePan = function(x, y) {
+		this.view.x += x - this.pan.x;
+		this.view.y += y - this.pan.y;
+		this.pan = {x: x, y: y};
+
+		this.scheduleRedraw();
+	}
+
+	this.endPan = function() {
+		this.pan = null;
+	}
+
+	// keeps the world point under given screen coordinates in place
+	this.zoomAt = function(x, y, factor) {
+		var zoom = Math.max(0.1, Math.min(10, this.view.zoom * factor));
+
+		factor = zoom / this.view.zoom;
+
+		this.view.x = x - (x - this.view.x) * factor;
+		this.view.y = y - (y - this.view.y) * factor;
+		this.view.zoom = zoom;
+
+		this.scheduleRedraw();
+	}
+
+	this.updatePinch = function(touches) {
+		var rect = this.canvas.canvasElement.getBoundingClientRect();
+		var x1 = touches[0].clientX - rect.left;
+		var y1 = touches[0].clientY - rect.top;
+		var x2 = touches[1].clientX - rect.left;
+		var y2 = touches[1].clientY - rect.top;
+		var pinch = {
+			x: (x1 + x2) / 2,
+			y: (y1 + y2) / 2,
+			distance: Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2))
+		};
+
+		if (this.pinch != null && this.pinch.distance > 0) {
+			this.view.x += pinch.x - this.pinch.x;
+			this.view.y += pinch.y - this.pinch.y;
+
+			this.zoomAt(pinch.x, pinch.y, pinch.distance / this.pinch.distance);
+		}
+
+		this.pinch = pinch;
+	}
+
+	this.setBrushColor = function(color) {
+		if (!/^#[0-9A-F]{6}$/i.test(color)) {
+			color = this.color;
+		}
+
+		this.brush.color = color;
+
+		$('#brush-color').val(color);
+	}
+
+	this.setBrushWidth = function(width) {
+		this.brush.width = Math.max(1, Math.min(50, width || 1));
+
+		$('#brush-width').val(this.brush.width);
+		$('#brush-width-value').text(this.brush.width + 'px');
+	}
+
+	this.setBrushOpacity = function(opacity) {
+		this.brush.opacity = Math.max(0.05, Math.min(1, opacity || 1));
+
+		$('#brush-opacity').val(Math.round(this.brush.opacity * 100));
+		$('#brush-opacity-value').text(Math.round(this.brush.opacity * 100) + '%');
+	}
+
+	// strokes without an id are previews that never make it to the board
+	this.createStroke = function(id, tool) {
+		var stroke = new Stroke(id, this.id, tool, this.brush.color, this.brush.width, this.brush.opacity);
+
+		if (id != null) {
+			stroke.clock = this.document.tick();
+		}
+
+		return stroke;
+	}
+
+	// the stored board is shown until the restore replaces it, the strokes
+	// the server does not have are sent back to it once restored
+	this.initStorage = function() {
+		var self = this;
+
+		this.storage = new BoardStorage(this.room);
+
+		this.storage.open().then(function(storage) {
+			return storage.load();
+		}).then(function(stored) {
+			for (var i = 0; i < stored.length; i++) {
+				var stroke = Stroke.fromData(stored[i]);
+
+				self.savedStrokes[stroke.id] = self.getStrokeSignature(stroke);
+				self.addStroke(stroke);
+			}
+
+			self.redraw();
+			self.requestRestore();
+		}, function(error) {
+			console.log('Loading the stored board failed: ' + error.message);
+
+			self.requestRestore();
+		});
+
+		this.storageInterval = window.setInterval(function() {
+			self.saveStrokes();
+		}, this.options.storageInterval);
+	}
+
+	// stores the strokes changed since they were last saved
+	this.saveStrokes = function() {
+		// a stroke being transformed is saved once the transform is sent
+		if (this.storage == null || this.restoring != null || this.selectionDrag != null) {
+			return;
+		}
+
+		var changed = [];
+
+		for (var i = 0; i < this.document.order.length; i++) {
+			var stroke = this.document.strokes[this.document.order[i]];
+			var signature = this.getStrokeSignature(stroke);
+
+			if (this.savedStrokes[stroke.id] != signature) {
+				this.savedStrokes[stroke.id] = signature;
+
+				changed.push({order: i, data: stroke.toData()});
+			}
+		}
+
+		if (changed.length == 0) {
+			return;
+		}
+
+		this.storage.save(changed).then(null, function(error) {
+			console.log('Storing the board failed: ' + error.message);
+		});
+	}
+
+	// changes whenever a stroke is extended, finished, undone, redone or
+	// transformed
+	this.getStrokeSignature = function(stroke) {
+		var transform = stroke.getTransform();
+
+		return [stroke.getPointCount(), stroke.updateTime, stroke.endTime, stroke.deleted, transform.x, transform.y, transform.scale, transform.rotation].join('/');
+	}
+
+	// the board is restored page by page and stays as it is until the first
+	// page arrives, the strokes it had are kept aside to be reconciled with
+	// the restored board
+	this.requestRestore = function() {
+		var previous = this.restoring != null ? this.restoring.previous : this.unreconciled || {};
+
+		this.keepStrokes(previous);
+
+		this.unreconciled = null;
+		this.restoring = {
+			previous: previous,
+			restored: {},
+			cleared: false,
+			version: null,
+			loaded: 0,
+			total: null
+		};
+
+		// drawing commands are held back until the snapshot is restored
+		this.boardVersion = null;
+
+		this.updateRestoreProgress(this.restoring, false);
+		this.requestRestorePage(0);
+	}
+
+	this.keepStrokes = function(kept) {
+		for (var i = 0; i < this.document.order.length; i++) {
+			var stroke = this.document.strokes[this.document.order[i]];
+
+			kept[stroke.id] = stroke;
+		}
+	}
+
+	this.requestRestorePage = function(offset) {
+		var restoring = this.restoring;
+		var self = this;
+
+		this.socket.request(new SocketCommand('server', 'request-restore', {offset: offset})).then(function(reply) {
+			// replies to a restore superseded by a reconnect are dropped
+			if (self.restoring === restoring) {
+				self.restoreAction(reply);
+			}
+		}, function(error) {
+			if (self.restoring === restoring) {
+				self.finishRestore(null);
+			}
+
+			console.log('Restoring the board failed: ' + error.message);
+		});
+	}
+
+	this.requestOperations = function() {
+		if (this.requestingOperations) {
+			return;
+		}
+
+		var self = this;
+
+		this.requestingOperations = true;
+
+		this.socket.request(new SocketCommand('server', 'request-operations', {from: this.boardVersion + 1})).then(function(reply) {
+			self.requestingOperations = false;
+			self.operationsAction(reply);
+		}, function(error) {
+			self.requestingOperations = false;
+
+			console.log('Fetching missed drawing commands failed: ' + error.message);
+
+			// compacted into a newer snapshot or the server has been restarted
+			if (self.restoring == null) {
+				self.requestRestore();
+			}
+		});
+	}
+
+	this.setName = function(name) {
+		this.name = name;
+
+		this.socket.send(new SocketCommand('server', 'set-name', {name: name}));
+	}
+
+	this.drawBackground = function() {
+		this.clear();
+
+		//this.fillText('Test', 20, 20);
+	}
+
+	this.drawFrame = function(frameDuration, totalDuration, frameNumber) {
+		this.clear();
+
+		this.fillText('FPS: ' + this.getFPS(), this.width - 20, 10, ALIGN.RIGHT.TOP);
+	}
+
+	this.onSocketOpen = function(socket, event) {
+		$('#status').slideUp();
+
+		if (this.room != null) {
+			this.joinRoom(this.room);
+		} else {
+			this.showLobby();
+		}
+	}
+
+	this.getRoomFromHash = function() {
+		var room = window.location.hash.substr(1).toLowerCase();
+
+		return this.isValidRoom(room) ? room : null;
+	}
+
+	this.isValidRoom = function(room) {
+		return /^[a-z0-9_-]{1,32}$/.test(room);
+	}
+
+	this.showLobby = function() {
+		var self = this;
+
+		$('#lobby').slideDown();
+
+		this.requestRooms();
+		this.roomsInterval = window.setInterval(function() {
+			self.requestRooms();
+		}, 5000);
+	}
+
+	this.requestRooms = function() {
+		var self = this;
+
+		this.socket.request(new SocketCommand('server', 'list-rooms')).then(function(reply) {
+			self.renderRooms(reply.getParam('rooms', []));
+		}, function(error) {
+			console.log('Listing the rooms failed: ' + error.message);
+		});
+	}
+
+	// the room is kept in the hash so the board can be shared and reloaded
+	this.joinRoom = function(room) {
+		if (!this.isValidRoom(room)) {
+			return false;
+		}
+
+		this.room = room;
+
+		if (this.roomsInterval != null) {
+			window.clearInterval(this.roomsInterval);
+			this.roomsInterval = null;
+		}
+
+		window.location.hash = room;
+		document.title = room + ' - ' + document.title;
+
+		$('#lobby').slideUp();
+		$('#name-container').slideDown();
+
+		this.socket.send(new SocketCommand('server', 'hello', {
+			session: this.sessionId,
+			token: this.sessionToken,
+			room: room
+		}));
+
+		return true;
+	}
+
+	this.onSocketClose = function(socket, event) {
+		$('#reconnecting').hide();
+
+		this.showError('Connection lost');
+	}
+
+	this.onSocketReconnecting = function(socket, attempt, delay, event) {
+		$('#reconnecting').html('Connection lost, reconnecting in ' + Math.ceil(delay / 1000) + 's (attempt ' + attempt + ')').fadeIn();
+	}
+
+	// the server sees a new client so the session is set up again
+	this.onSocketReconnected = function(socket, attempts, event) {
+		$('#reconnecting').fadeOut();
+
+		this.quality = 'unknown';
+
+		// still in the lobby
+		if (this.room == null) {
+			return;
+		}
+
+		this.socket.send(new SocketCommand('server', 'hello', {
+			color: this.color,
+			session: this.sessionId,
+			token: this.sessionToken,
+			room: this.room
+		}));
+
+		if (this.canvas == null) {
+			return;
+		}
+
+		this.socket.send(new SocketCommand('server', 'set-name', {name: this.name}));
+		this.socket.send(new SocketCommand('server', 'set-presence', {presence: this.presence}));
+
+		// only the drawing commands missed while disconnected are fetched when
+		// the board has been restored before
+		if (this.boardVersion != null) {
+			this.requestOperations();
+		} else {
+			this.requestRestore();
+		}
+
+		this.chat.requestHistory();
+	}
+
+	this.onSocketError = function(socket, event) {
+		// errors on an established connection end up in reconnecting or onclose
+		if (socket.connected) {
+			return;
+		}
+
+		this.showError('Error occured');
+	}
+
+	// only changes in connection quality are reported to the others
+	this.onSocketLatency = function(socket, latency, stats) {
+		var quality = this.getConnectionQuality(stats.average);
+
+		if (quality == this.quality) {
+			return;
+		}
+
+		this.quality = quality;
+
+		this.socket.send(new SocketCommand('server', 'set-quality', {
+			quality: quality,
+			latency: Math.round(stats.average)
+		}));
+	}
+
+	this.getConnectionQuality = function(latency) {
+		if (latency == null) {
+			return 'unknown';
+		} else if (latency < 100) {
+			return 'good';
+		} else if (latency < 300) {
+			return 'fair';
+		} else {
+			return 'poor';
+		}
+	}
+
+	this.onSocketDecodeError = function(socket, error, data) {
+		console.log('Decoding message failed: ' + error);
+	}
+
+	this.onSocketOverflow = function(socket, dropped, policy, length) {
+		console.log('Outgoing queue full, dropped "' + dropped.action + '" (' + policy + ')');
+	}
+
+	this.onSocketMessage = function(socket, message, command) {
+		if (command != null && command.controller == 'client' && this.operationActions.indexOf(command.action) != -1) {
+			this.receiveOperation(command);
+		} else {
+			this.router.route(command);
+		}
+	}
+
+	this.onRouterError = function(router, message, command, exception) {
+		console.log('Routing failed: ' + message);
+	}
+
+	// stroke ids are unique across sessions so they survive reconnects
+	// 32 random lowercase hex digits, from the crypto API where available
+	this.createToken = function() {
+		var token = '';
+		var values = new Uint8Array(16);
+
+		if (window.crypto != null && typeof(window.crypto.getRandomValues) == 'function') {
+			window.crypto.getRandomValues(values);
+		} else {
+			for (var i = 0; i < values.length; i++) {
+				values[i] = Math.floor(Math.random() * 256);
+			}
+		}
+
+		for (var j = 0; j < values.length; j++) {
+			token += (values[j] < 16 ? '0' : '') + values[j].toString(16);
+		}
+
+		return token;
+	}
+
+	this.createStrokeId = function() {
+		return this.sessionId + '-' + (++this.lastStrokeNumber);
+	}
+
+	this.addStroke = function(stroke) {
+		this.document.insert(stroke);
+	}
+
+	this.getStroke = function(id) {
+		return this.document.getStroke(id);
+	}
+
+	this.isDrawing = function() {
+		return this.currentStroke != null || this.currentShape != null || this.selectionDrag != null || this.erasing != null;
+	}
+
+	this.toolDown = function(x, y) {
+		if (this.replay != null) {
+			return;
+		}
+
+		if (this.isStrokeEraser()) {
+			this.beginErasing(x, y);
+
+			return;
+		}
+
+		switch (this.tool) {
+			case TOOL.PEN:
+			case TOOL.ERASER:
+				this.beginStroke(x, y);
+				break;
+
+			case TOOL.LINE:
+			case TOOL.RECTANGLE:
+			case TOOL.ELLIPSE:
+			case TOOL.REGION:
+				this.beginShape(x, y);
+				break;
+
+			case TOOL.SELECT:
+				this.beginSelectionDrag(x, y);
+				break;
+		}
+	}
+
+	this.toolMove = function(x, y) {
+		if (this.erasing != null || this.isStrokeEraser()) {
+			this.updateErasing(x, y);
+		} else if (this.currentStroke != null || this.tool == TOOL.PEN || this.tool == TOOL.ERASER) {
+			this.extendStroke(x, y);
+		} else if (this.currentShape != null) {
+			this.updateShape(x, y);
+		} else if (this.selectionDrag != null) {
+			this.updateSelectionDrag(x, y);
+		}
+	}
+
+	// coordinates are not known when the button was released outside the canvas
+	this.toolUp = function(x, y) {
+		if (this.currentStroke != null) {
+			this.endStroke(x, y);
+		} else if (this.currentShape != null) {
+			this.endShape(x, y);
+		} else if (this.selectionDrag != null) {
+			this.endSelectionDrag(x, y);
+		} else if (this.erasing != null) {
+			this.endErasing(x, y);
+		} else if (this.tool == TOOL.TEXT && x != null) {
+			this.addText(x, y);
+		}
+	}
+
+	this.beginStroke = function(x, y) {
+		var stroke = this.createStroke(this.createStrokeId(), this.tool);
+
+		stroke.addPoints([x, y], this.socket.getServerTime());
+
+		this.currentStroke = stroke;
+		this.pendingPoints = [];
+
+		this.addStroke(stroke);
+		this.renderStroke(stroke);
+
+		this.socket.send(new SocketCommand('server', 'begin-stroke', {
+			stroke: stroke.id,
+			clock: stroke.clock,
+			tool: stroke.tool,
+			color: stroke.color,
+			width: stroke.width,
+			opacity: stroke.opacity,
+			points: [x, y]
+		}));
+	}
+
+	// points closer than minPointDistance screen pixels to the previous one
+	// are skipped
+	this.extendStroke = function(x, y, force) {
+		if (this.currentStroke == null) {
+			this.beginStroke(x, y);
+
+			return;
+		}
+
+		var stroke = this.currentStroke;
+		var last = stroke.getLastPoint();
+		var distance = Math.sqrt(Math.pow(x - last[0], 2) + Math.pow(y - last[1], 2));
+
+		if (distance == 0 || (distance * this.view.zoom < this.options.minPointDistance && !force)) {
+			return;
+		}
+
+		stroke.addPoints([x, y], this.socket.getServerTime());
+
+		this.renderStroke(stroke, stroke.getPointCount() - 1);
+
+		this.pendingPoints.push(x, y);
+		this.scheduleStrokeBatch();
+	}
+
+	this.endStroke = function(x, y) {
+		if (this.currentStroke == null) {
+			return;
+		}
+
+		var stroke = this.currentStroke;
+
+		if (x != null) {
+			this.extendStroke(x, y, true);
+		}
+
+		this.sendStrokeBatch();
+
+		stroke.finish(this.socket.getServerTime());
+
+		this.socket.send(new SocketCommand('server', 'end-stroke', {
+			stroke: stroke.id
+		}));
+
+		this.finishRendering(stroke);
+
+		this.currentStroke = null;
+		this.pendingPoints = null;
+
+		this.undoStack.push(stroke.id);
+		this.redoStack = [];
+	}
+
+	this.beginShape = function(x, y) {
+		var shape = this.createStroke(null, this.tool);
+
+		shape.addPoints([x, y, x, y]);
+
+		this.currentShape = shape;
+	}
+
+	this.updateShape = function(x, y) {
+		var shape = this.currentShape;
+
+		shape.points[2] = x;
+		shape.points[3] = y;
+
+		this.previewLayer.clear();
+		this.renderShape(this.previewLayer, shape);
+	}
+
+	this.endShape = function(x, y) {
+		var shape = this.currentShape;
+
+		if (x != null) {
+			this.updateShape(x, y);
+		}
+
+		this.currentShape = null;
+		this.previewLayer.clear();
+
+		var points = shape.points;
+		var empty = points[0] == points[2] && points[1] == points[3];
+
+		// a click without dragging clears the export region
+		if (shape.tool == TOOL.REGION) {
+			this.setExportRegion(empty ? null : {
+				x: Math.min(points[0], points[2]),
+				y: Math.min(points[1], points[3]),
+				width: Math.abs(points[2] - points[0]),
+				height: Math.abs(points[3] - points[1])
+			});
+		} else if (!empty) {
+			this.addShape(shape.tool, points);
+		}
+	}
+
+	this.select = function(strokeId) {
+		this.selectedStroke = strokeId;
+
+		this.renderSelection();
+	}
+
+	// deleted strokes are no longer selected
+	this.getSelectedStroke = function() {
+		var stroke = this.selectedStroke != null ? this.getStroke(this.selectedStroke) : null;
+
+		return stroke != null && !stroke.deleted ? stroke : null;
+	}
+
+	// the handles of the selected stroke scale and rotate it, dragging it or
+	// anything inside its outline moves it and clicking elsewhere selects the
+	// stroke there
+	this.beginSelectionDrag = function(x, y) {
+		var stroke = this.getSelectedStroke();
+		var mode = stroke != null ? this.getSelectionModeAt(stroke, x, y) : null;
+
+		if (mode == null) {
+			stroke = this.getStrokeAt(x, y);
+			mode = 'move';
+
+			this.select(stroke != null ? stroke.id : null);
+		}
+
+		if (stroke == null) {
+			return;
+		}
+
+		var transform = stroke.getTransform();
+
+		this.selectionDrag = {
+			mode: mode,
+			x: x,
+			y: y,
+			transform: {x: transform.x, y: transform.y, scale: transform.scale, rotation: transform.rotation}
+		};
+	}
+
+	// scaling and rotating are relative to where the drag started, around the
+	// center of the stroke
+	this.updateSelectionDrag = function(x, y) {
+		var drag = this.selectionDrag;
+		var stroke = this.getSelectedStroke();
+
+		if (stroke == null) {
+			this.selectionDrag = null;
+
+			return;
+		}
+
+		var original = drag.transform;
+		var transform = {x: original.x, y: original.y, scale: original.scale, rotation: original.rotation};
+		var bounds = this.getStrokeBounds(stroke);
+		var cx = bounds.x + bounds.width / 2 + original.x;
+		var cy = bounds.y + bounds.height / 2 + original.y;
+
+		switch (drag.mode) {
+			case 'move':
+				transform.x += x - drag.x;
+				transform.y += y - drag.y;
+				break;
+
+			case 'scale':
+				var from = Math.sqrt(Math.pow(drag.x - cx, 2) + Math.pow(drag.y - cy, 2));
+				var to = Math.sqrt(Math.pow(x - cx, 2) + Math.pow(y - cy, 2));
+
+				if (from > 0) {
+					transform.scale = Math.max(0.05, Math.min(20, original.scale * to / from));
+				}
+				break;
+
+			case 'rotate':
+				var angle = Math.atan2(y - cy, x - cx) - Math.atan2(drag.y - cy, drag.x - cx);
+
+				transform.rotation = (original.rotation + angle * 180 / Math.PI) % 360;
+				break;
+		}
+
+		stroke.transform = transform;
+
+		this.scheduleRedraw();
+	}
+
+	// the stroke is shown transformed while dragging and the transform is
+	// sent once when released
+	this.endSelectionDrag = function(x, y) {
+		if (x != null) {
+			this.updateSelectionDrag(x, y);
+		}
+
+		var drag = this.selectionDrag;
+		var stroke = this.getSelectedStroke();
+
+		this.selectionDrag = null;
+
+		if (drag == null || stroke == null) {
+			return;
+		}
+
+		var transform = stroke.getTransform();
+		var original = drag.transform;
+
+		if (transform.x == original.x && transform.y == original.y && transform.scale == original.scale && transform.rotation == original.rotation) {
+			return;
+		}
+
+		var clock = this.document.tick();
+
+		this.document.update(stroke.id, {transform: transform}, clock);
+
+		this.socket.send(new SocketCommand('server', 'transform-stroke', {
+			stroke: stroke.id,
+			transform: transform,
+			clock: clock
+		}));
+	}
+
+	this.deleteSelection = function() {
+		var stroke = this.getSelectedStroke();
+
+		if (stroke == null || this.isDrawing()) {
+			return;
+		}
+
+		this.select(null);
+		this.deleteStroke(stroke.id);
+	}
+
+	// any stroke can be deleted, not only the own ones
+	this.deleteStroke = function(strokeId) {
+		var clock = this.document.tick();
+
+		this.setStrokeDeleted(strokeId, true, null, clock);
+		this.forgetDeletedImage(strokeId);
+
+		this.socket.send(new SocketCommand('server', 'delete-stroke', {stroke: strokeId, clock: clock}));
+	}
+
+	// the server drops the bytes of an image once it is deleted, so it can no
+	// longer be undone or redone
+	this.forgetDeletedImage = function(strokeId) {
+		var stroke = this.getStroke(strokeId);
+
+		if (stroke == null || stroke.tool != TOOL.IMAGE || !stroke.deleted) {
+			return;
+		}
+
+		var stacks = [this.undoStack, this.redoStack];
+
+		for (var i = 0; i < stacks.length; i++) {
+			var index = stacks[i].indexOf(strokeId);
+
+			if (index != -1) {
+				stacks[i].splice(index, 1);
+			}
+		}
+	}
+
+	// topmost stroke within given distance of a point, the hit tolerance by
+	// default, erasers and strokes still being drawn can not be hit and
+	// neither can images when skipping them
+	this.getStrokeAt = function(x, y, tolerance, skipImages) {
+		tolerance = tolerance || this.options.hitTolerance / this.view.zoom;
+
+		for (var i = this.document.order.length - 1; i >= 0; i--) {
+			var stroke = this.document.strokes[this.document.order[i]];
+
+			if (stroke.deleted || stroke.tool == TOOL.ERASER || !stroke.isFinished() || (skipImages && stroke.tool == TOOL.IMAGE)) {
+				continue;
+			}
+
+			var point = this.transformPoint(stroke, x, y, true);
+
+			if (this.hitsStroke(stroke, point[0], point[1], tolerance / stroke.getTransform().scale + stroke.width / 2)) {
+				return stroke;
+			}
+		}
+
+		return null;
+	}
+
+	// point is given in the coordinates the stroke was drawn in, shapes are
+	// hit on their outline and text anywhere inside its bounds
+	this.hitsStroke = function(stroke, x, y, tolerance) {
+		var points = stroke.points;
+		var bounds = this.getStrokeBounds(stroke);
+
+		if (x < bounds.x - tolerance || y < bounds.y - tolerance || x > bounds.x + bounds.width + tolerance || y > bounds.y + bounds.height + tolerance) {
+			return false;
+		}
+
+		switch (stroke.tool) {
+			case TOOL.TEXT:
+			case TOOL.IMAGE:
+				return true;
+
+			case TOOL.LINE:
+				return this.getSegmentDistance(x, y, points[0], points[1], points[2], points[3]) <= tolerance;
+
+			case TOOL.RECTANGLE:
+				return Math.min(
+					this.getSegmentDistance(x, y, points[0], points[1], points[2], points[1]),
+					this.getSegmentDistance(x, y, points[2], points[1], points[2], points[3]),
+					this.getSegmentDistance(x, y, points[2], points[3], points[0], points[3]),
+					this.getSegmentDistance(x, y, points[0], points[3], points[0], points[1])
+				) <= tolerance;
+
+			// distance to the outline is approximated along the radius
+			case TOOL.ELLIPSE:
+				var rx = Math.max(1, Math.abs(points[2] - points[0]) / 2);
+				var ry = Math.max(1, Math.abs(points[3] - points[1]) / 2);
+				var dx = (x - (points[0] + points[2]) / 2) / rx;
+				var dy = (y - (points[1] + points[3]) / 2) / ry;
+
+				return Math.abs(Math.sqrt(dx * dx + dy * dy) - 1) * Math.min(rx, ry) <= tolerance;
+		}
+
+		if (points.length == 2) {
+			return this.getSegmentDistance(x, y, points[0], points[1], points[0], points[1]) <= tolerance;
+		}
+
+		for (var i = 2; i < points.length; i += 2) {
+			if (this.getSegmentDistance(x, y, points[i - 2], points[i - 1], points[i], points[i + 1]) <= tolerance) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	this.getSegmentDistance = function(x, y, x1, y1, x2, y2) {
+		var dx = x2 - x1;
+		var dy = y2 - y1;
+		var length = dx * dx + dy * dy;
+		var t = length > 0 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length)) : 0;
+
+		return Math.sqrt(Math.pow(x - x1 - t * dx, 2) + Math.pow(y - y1 - t * dy, 2));
+	}
+
+	// 'scale' or 'rotate' on a handle, 'move' inside the outline and null
+	// outside of it
+	this.getSelectionModeAt = function(stroke, x, y) {
+		var handles = this.getSelectionHandles(stroke);
+		var size = this.options.handleSize / this.view.zoom;
+
+		for (var i = 0; i < handles.length; i++) {
+			if (Math.abs(x - handles[i].x) <= size && Math.abs(y - handles[i].y) <= size) {
+				return handles[i].mode;
+			}
+		}
+
+		var bounds = this.getStrokeBounds(stroke);
+		var point = this.transformPoint(stroke, x, y, true);
+
+		if (point[0] >= bounds.x && point[1] >= bounds.y && point[0] <= bounds.x + bounds.width && point[1] <= bounds.y + bounds.height) {
+			return 'move';
+		}
+
+		return null;
+	}
+
+	// scale handles on the corners and a rotate handle above the top edge
+	this.getSelectionHandles = function(stroke) {
+		var corners = this.getStrokeCorners(stroke);
+		var bounds = this.getStrokeBounds(stroke);
+		var offset = this.options.handleSize * 3 / this.view.zoom / stroke.getTransform().scale;
+		var rotate = this.transformPoint(stroke, bounds.x + bounds.width / 2, bounds.y - offset);
+		var handles = [];
+
+		for (var i = 0; i < corners.length; i += 2) {
+			handles.push({mode: 'scale', x: corners[i], y: corners[i + 1]});
+		}
+
+		handles.push({mode: 'rotate', x: rotate[0], y: rotate[1]});
+
+		return handles;
+	}
+
+	// the path of the stroke eraser is only previewed, every stroke within its
+	// radius along the path is deleted as soon as it is reached
+	this.beginErasing = function(x, y) {
+		var path = this.createStroke(null, TOOL.PEN);
+
+		path.color = '#FFFFFF';
+		path.opacity = 0.25;
+		path.addPoints([x, y]);
+
+		this.erasing = path;
+
+		this.eraseAt(x, y);
+		this.renderErasing();
+	}
+
+	// segments are checked at points spaced by the eraser radius so that fast
+	// moves do not skip strokes
+	this.updateErasing = function(x, y) {
+		if (this.erasing == null) {
+			this.beginErasing(x, y);
+
+			return;
+		}
+
+		var last = this.erasing.getLastPoint();
+		var distance = Math.sqrt(Math.pow(x - last[0], 2) + Math.pow(y - last[1], 2));
+
+		if (distance == 0) {
+			return;
+		}
+
+		var steps = Math.ceil(distance / this.getEraserRadius());
+
+		for (var i = 1; i <= steps; i++) {
+			this.eraseAt(last[0] + (x - last[0]) * i / steps, last[1] + (y - last[1]) * i / steps);
+		}
+
+		this.erasing.addPoints([x, y]);
+
+		this.renderErasing();
+	}
+
+	this.endErasing = function(x, y) {
+		if (x != null) {
+			this.updateErasing(x, y);
+		}
+
+		this.erasing = null;
+
+		this.renderExportRegion();
+	}
+
+	// images are left to the select tool, deleting one can not be undone as
+	// the server drops its bytes
+	this.eraseAt = function(x, y) {
+		var stroke = null;
+
+		while ((stroke = this.getStrokeAt(x, y, this.getEraserRadius(), true)) != null) {
+			this.deleteStroke(stroke.id);
+		}
+	}
+
+	// half the brush width, but never smaller than the hit tolerance
+	this.getEraserRadius = function() {
+		return Math.max(this.brush.width / 2, this.options.hitTolerance / this.view.zoom);
+	}
+
+	this.setExportRegion = function(region) {
+		this.exportRegion = region;
+
+		this.renderExportRegion();
+	}
+
+	this.getExportOptions = function() {
+		var session = $('#export-user').val();
+
+		return {
+			region: this.exportRegion,
+			sessions: session ? [session] : null,
+			background: this.options.exportBackground
+		};
+	}
+
+	this.exportPng = function() {
+		var url = this.boardExport.toPng(this.getExportOptions());
+
+		if (url != null) {
+			this.download(this.room + '.png', url);
+		}
+	}
+
+	this.exportSvg = function() {
+		var svg = this.boardExport.toSvg(this.getExportOptions());
+
+		this.download(this.room + '.svg', 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg));
+	}
+
+	this.download = function(fileName, url) {
+		var link = document.createElement('a');
+
+		link.href = url;
+		link.download = fileName;
+
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+	}
+
+	// the replay runs on the animation loop of its layer, replay time is kept
+	// as an anchor and the loop duration at which it was set so that speed
+	// changes and seeking only move the anchor
+	this.openReplay = function() {
+		if (this.replay != null) {
+			return;
+		}
+
+		var start = null;
+		var end = null;
+
+		for (var id in this.document.strokes) {
+			var stroke = this.document.strokes[id];
+
+			if (stroke.startTime == null) {
+				continue;
+			}
+
+			start = start == null ? stroke.startTime : Math.min(start, stroke.startTime);
+			end = Math.max(end, stroke.endTime || stroke.updateTime, stroke.deleteTime || 0);
+		}
+
+		// nothing has been drawn yet
+		if (start == null) {
+			return;
+		}
+
+		if (this.isDrawing()) {
+			this.toolUp();
+		}
+
+		this.replay = {
+			start: start,
+			end: end,
+			time: start,
+			speed: parseInt($('#replay-speed').val(), 10),
+			anchorTime: start,
+			anchorDuration: 0,
+			duration: 0,
+			playing: true,
+			scrubbing: false,
+			dirty: true
+		};
+
+		$(this.canvas.canvasElement).css('visibility', 'hidden');
+		$(this.cursorLayer.canvasElement).css('visibility', 'hidden');
+		$(this.selectionLayer.canvasElement).css('visibility', 'hidden');
+		$('#replay-play').text('Pause');
+		$('#replay').show();
+
+		this.replayLayer.start();
+	}
+
+	this.closeReplay = function() {
+		if (this.replay == null) {
+			return;
+		}
+
+		this.replay = null;
+		this.replayLayer.stop();
+		this.replayLayer.clear();
+
+		$('#replay').hide();
+		$(this.canvas.canvasElement).css('visibility', 'visible');
+		$(this.cursorLayer.canvasElement).css('visibility', 'visible');
+		$(this.selectionLayer.canvasElement).css('visibility', 'visible');
+
+		this.redraw();
+	}
+
+	this.playReplay = function() {
+		if (this.replay == null) {
+			return;
+		}
+
+		if (this.replay.time >= this.replay.end) {
+			this.replay.time = this.replay.start;
+		}
+
+		this.anchorReplay();
+		this.replay.playing = true;
+
+		$('#replay-play').text('Pause');
+	}
+
+	this.pauseReplay = function() {
+		if (this.replay == null) {
+			return;
+		}
+
+		this.anchorReplay();
+		this.replay.playing = false;
+
+		$('#replay-play').text('Play');
+	}
+
+	this.setReplaySpeed = function(speed) {
+		if (this.replay == null) {
+			return;
+		}
+
+		this.anchorReplay();
+		this.replay.speed = Math.max(1, Math.min(16, speed || 1));
+	}
+
+	this.seekReplay = function(time) {
+		if (this.replay == null) {
+			return;
+		}
+
+		this.replay.time = Math.max(this.replay.start, Math.min(this.replay.end, time));
+		this.replay.dirty = true;
+
+		this.anchorReplay();
+	}
+
+	this.anchorReplay = function() {
+		this.replay.anchorTime = this.replay.time;
+		this.replay.anchorDuration = this.replay.duration;
+	}
+
+	// called by the replay layer on every frame, the duration is null when
+	// the layer renders a single frame on resize
+	this.updateReplay = function(totalDuration) {
+		var replay = this.replay;
+
+		if (replay == null || totalDuration == null) {
+			return;
+		}
+
+		replay.duration = totalDuration;
+
+		if (replay.playing) {
+			replay.time = Math.min(replay.end, replay.anchorTime + (totalDuration - replay.anchorDuration) * replay.speed);
+			replay.dirty = true;
+
+			if (replay.time >= replay.end) {
+				this.pauseReplay();
+			}
+		}
+
+		if (!replay.dirty) {
+			return;
+		}
+
+		replay.dirty = false;
+
+		this.renderReplay(replay.time);
+		this.renderReplayProgress();
+	}
+
+	this.renderReplay = function(time) {
+		this.replayLayer.clear();
+
+		for (var i = 0; i < this.document.order.length; i++) {
+			var stroke = this.document.strokes[this.document.order[i]];
+
+			if (stroke.startTime == null || stroke.startTime > time) {
+				continue;
+			}
+
+			if (stroke.deleted && stroke.deleteTime != null && stroke.deleteTime <= time) {
+				continue;
+			}
+
+			var count = stroke.getPointCountAt(time);
+
+			if (stroke.isFreehand() && count < stroke.getPointCount()) {
+				var partial = Stroke.fromData(stroke.toData());
+
+				partial.points = stroke.points.slice(0, count * 2);
+				stroke = partial;
+			}
+
+			this.renderStroke(stroke, 0, this.replayLayer);
+		}
+	}
+
+	this.renderReplayProgress = function() {
+		var replay = this.replay;
+		var length = replay.end - replay.start;
+
+		if (!replay.scrubbing) {
+			$('#replay-scrubber').val(length > 0 ? Math.round((replay.time - replay.start) / length * 1000) : 1000);
+		}
+
+		$('#replay-time').text(this.formatDuration(replay.time - replay.start) + ' / ' + this.formatDuration(length));
+	}
+
+	this.formatDuration = function(duration) {
+		var seconds = Math.floor(duration / 1000);
+		var minutes = Math.floor(seconds / 60);
+
+		seconds = seconds % 60;
+
+		return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+	}
+
+	this.placeImage = function(file, x, y) {
+		if (this.replay != null || file == null) {
+			return;
+		}
+
+		if (!/^image\/(png|jpeg|gif|webp)$/.test(file.type)) {
+			this.showError('Images can be PNG, JPEG, GIF or WebP, not "' + file.type + '"', true);
+
+			return;
+		}
+
+		if (file.size > this.options.maxImageSize) {
+			this.showError('Images can be up to ' + Math.round(this.options.maxImageSize / 1024) + ' KiB, "' + file.name + '" is ' + Math.round(file.size / 1024) + ' KiB', true);
+
+			return;
+		}
+
+		var reader = new FileReader();
+		var self = this;
+
+		reader.onload = function() {
+			self.canvas.loadImage(reader.result, function(element) {
+				self.addImage(element, reader.result, x, y);
+			}, function() {
+				self.showError('Image "' + file.name + '" could not be decoded', true);
+			});
+		}
+
+		reader.readAsDataURL(file);
+	}
+
+	// the image is shown right away and placed on the board once uploaded,
+	// then it is selected so that it can be moved and scaled into place
+	this.addImage = function(element, data, x, y) {
+		var factor = Math.min(1, this.options.imagePlacementSize / this.view.zoom / Math.max(element.width, element.height));
+		var width = Math.max(1, Math.round(element.width * factor));
+		var height = Math.max(1, Math.round(element.height * factor));
+		var left = Math.round(x - width / 2);
+		var top = Math.round(y - height / 2);
+		var stroke = this.createStroke(this.createStrokeId(), TOOL.IMAGE);
+		var self = this;
+
+		stroke.width = 1;
+		stroke.addPoints([left, top, left + width, top + height], this.socket.getServerTime());
+
+		this.images[stroke.id] = {element: element, data: data};
+
+		this.addStroke(stroke);
+		this.renderStroke(stroke);
+
+		this.uploadImage(stroke.id, data).then(function() {
+			stroke.finish(self.socket.getServerTime());
+
+			self.socket.send(new SocketCommand('server', 'add-image', {
+				stroke: stroke.id,
+				clock: stroke.clock,
+				width: stroke.width,
+				opacity: stroke.opacity,
+				points: stroke.points
+			}));
+
+			self.undoStack.push(stroke.id);
+			self.redoStack = [];
+
+			self.setTool(TOOL.SELECT);
+			self.select(stroke.id);
+		}, function(error) {
+			self.showError('Uploading the image failed: ' + error.message, true);
+
+			self.setStrokeDeleted(stroke.id, true, null, self.document.tick());
+		});
+	}
+
+	// sends the base64 bytes of a data URL one chunk per request, resolves
+	// once the server has all of them
+	this.uploadImage = function(strokeId, data) {
+		var type = data.substring(data.indexOf(':') + 1, data.indexOf(';'));
+		var bytes = data.substr(data.indexOf(',') + 1);
+
+		return this.sendChunked('upload-image', {stroke: strokeId, type: type}, bytes, this.options.imageChunkSize);
+	}
+
+	// sends ASCII data one chunk per request along with its length and
+	// offset, the server replies with the offset to continue at until it is
+	// complete, resolves with the last reply
+	this.sendChunked = function(action, parameters, data, chunkSize) {
+		var socket = this.socket;
+		var send = function(offset) {
+			var chunk = {};
+
+			for (var name in parameters) {
+				chunk[name] = parameters[name];
+			}
+
+			chunk.length = data.length;
+			chunk.offset = offset;
+			chunk.data = data.substr(offset, chunkSize);
+
+			return socket.request(new SocketCommand('server', action, chunk)).then(function(reply) {
+				if (!reply.getParam('complete')) {
+					return send(reply.getParam('offset'));
+				}
+
+				return reply;
+			});
+		}
+
+		return send(0);
+	}
+
+	// images placed by others are fetched the first time they are rendered,
+	// null is returned until they are loaded
+	this.getImage = function(strokeId) {
+		if (typeof(this.images[strokeId]) == 'undefined') {
+			this.images[strokeId] = {element: null, data: null};
+
+			this.requestImage(strokeId, 0, '');
+		}
+
+		return this.images[strokeId].element;
+	}
+
+	// images are fetched page by page, they are fetched again the next time
+	// they are rendered only when the connection failed
+	this.requestImage = function(strokeId, offset, data) {
+		var self = this;
+
+		this.socket.request(new SocketCommand('server', 'request-image', {stroke: strokeId, offset: offset})).then(function(reply) {
+			data += reply.getParam('data');
+
+			if (reply.getParam('next') != null) {
+				self.requestImage(strokeId, reply.getParam('next'), data);
+			} else {
+				self.loadImage(strokeId, 'data:' + reply.getParam('type') + ';base64,' + data);
+			}
+		}, function(error) {
+			// connection failures are shown by the reconnecting banner
+			if (typeof(error.code) == 'string') {
+				delete self.images[strokeId];
+
+				console.log('Loading image "' + strokeId + '" failed: ' + error.message);
+			} else {
+				self.showError('Loading an image failed: ' + error.message, true);
+			}
+		});
+	}
+
+	this.loadImage = function(strokeId, data) {
+		var image = {element: null, data: data};
+		var self = this;
+
+		this.images[strokeId] = image;
+
+		this.canvas.loadImage(data, function(element) {
+			image.element = element;
+
+			self.scheduleRedraw();
+		}, function() {
+			console.log('Image "' + strokeId + '" could not be decoded');
+		});
+	}
+
+	this.addText = function(x, y) {
+		var text = window.prompt('Text', '');
+
+		if (text == null || text == '') {
+			return;
+		}
+
+		if (getByteLength(text) > this.options.maxTextLength) {
+			this.showError('Text can be up to ' + this.options.maxTextLength + ' bytes long', true);
+
+			return;
+		}
+
+		this.addShape(TOOL.TEXT, [x, y], text);
+	}
+
+	// shapes are complete when created so they are sent as a single command
+	this.addShape = function(tool, points, text) {
+		var stroke = this.createStroke(this.createStrokeId(), tool);
+		var time = this.socket.getServerTime();
+
+		stroke.addPoints(points, time);
+		stroke.text = text || null;
+		stroke.finish(time);
+
+		this.addStroke(stroke);
+		this.renderStroke(stroke);
+
+		var parameters = {
+			stroke: stroke.id,
+			clock: stroke.clock,
+			color: stroke.color,
+			width: stroke.width,
+			opacity: stroke.opacity,
+			points: points
+		};
+
+		if (tool == TOOL.TEXT) {
+			parameters.text = text;
+		}
+
+		this.socket.send(new SocketCommand('server', 'add-' + tool, parameters));
+
+		this.undoStack.push(stroke.id);
+		this.redoStack = [];
+	}
+
+	this.undo = function() {
+		if (this.isDrawing() || this.undoStack.length == 0) {
+			return;
+		}
+
+		var strokeId = this.undoStack.pop();
+		var clock = this.document.tick();
+
+		this.redoStack.push(strokeId);
+		this.setStrokeDeleted(strokeId, true, null, clock);
+
+		this.socket.send(new SocketCommand('server', 'undo-stroke', {stroke: strokeId, clock: clock}));
+	}
+
+	this.redo = function() {
+		if (this.isDrawing() || this.redoStack.length == 0) {
+			return;
+		}
+
+		var strokeId = this.redoStack.pop();
+		var clock = this.document.tick();
+
+		this.undoStack.push(strokeId);
+		this.setStrokeDeleted(strokeId, false, null, clock);
+
+		this.socket.send(new SocketCommand('server', 'redo-stroke', {stroke: strokeId, clock: clock}));
+	}
+
+	// undo and redo update the deleted field of the board document, which
+	// keeps the one made last when they cross
+	this.setStrokeDeleted = function(strokeId, deleted, time, clock) {
+		var values = {
+			deleted: deleted,
+			deleteTime: deleted ? time || this.socket.getServerTime() : null
+		};
+
+		if (this.document.update(strokeId, values, clock) && this.getStroke(strokeId) != null) {
+			this.redraw();
+		}
+	}
+
+	// collects the points for an animation frame or batchInterval milliseconds
+	this.scheduleStrokeBatch = function() {
+		if (this.batchTimeout != null) {
+			return;
+		}
+
+		var self = this;
+		var callback = function() {
+			self.batchTimeout = null;
+			self.sendStrokeBatch();
+		}
+
+		if (this.options.batchInterval > 0) {
+			this.batchTimeout = window.setTimeout(callback, this.options.batchInterval);
+		} else if (typeof(window.requestAnimationFrame) == 'function') {
+			this.batchTimeout = window.requestAnimationFrame(callback);
+		} else {
+			this.batchTimeout = window.setTimeout(callback, 16);
+		}
+	}
+
+	this.cancelStrokeBatch = function() {
+		if (this.batchTimeout == null) {
+			return;
+		}
+
+		if (this.options.batchInterval <= 0 && typeof(window.cancelAnimationFrame) == 'function') {
+			window.cancelAnimationFrame(this.batchTimeout);
+		} else {
+			window.clearTimeout(this.batchTimeout);
+		}
+
+		this.batchTimeout = null;
+	}
+
+	this.sendStrokeBatch = function() {
+		this.cancelStrokeBatch();
+
+		if (this.currentStroke == null || this.pendingPoints.length == 0) {
+			return;
+		}
+
+		this.socket.send(new SocketCommand('server', 'extend-stroke', {
+			stroke: this.currentStroke.id,
+			points: this.pendingPoints
+		}));
+
+		this.pendingPoints = [];
+	}
+
+	this.welcomeAction = function(command) {
+		this.id = command.getParam('id');
+		this.color = command.getParam('color');
+		this.users = {};
+
+		if (this.brush.color == null) {
+			this.setBrushColor(this.color);
+		}
+
+		$('#users').empty();
+
+		var existingUsers = command.getParam('users');
+
+		for (var key in existingUsers) {
+			var userInfo = existingUsers[key];
+			var user = new User(userInfo.id, userInfo.color, userInfo.name, userInfo.quality, userInfo.presence, userInfo.session);
+
+			this.users[user.id] = user;
+			this.renderNewUser(user);
+		}
+	}
+
+	this.nameChangedAction = function(command) {
+		var userId = command.getParam('id');
+		var name = command.getParam('name');
+
+		this.users[userId].name = name;
+
+		this.renderNameChange(userId, name);
+	}
+
+	this.errorAction = function(command) {
+		console.log('Server error: ' + command.getParam('message'));
+	}
+
+	this.qualityChangedAction = function(command) {
+		var userId = command.getParam('id');
+		var user = this.users[userId];
+
+		if (typeof(user) == 'undefined') {
+			return;
+		}
+
+		user.quality = command.getParam('quality');
+
+		this.renderQualityChange(user, command.getParam('latency'));
+	}
+
+	this.presenceChangedAction = function(command) {
+		var userId = command.getParam('id');
+		var user = this.users[userId];
+
+		if (typeof(user) == 'undefined') {
+			return;
+		}
+
+		user.presence = command.getParam('presence');
+
+		this.renderPresenceChange(user);
+		this.renderCursors();
+	}
+
+	this.cursorMovedAction = function(command) {
+		var userId = command.getParam('id');
+
+		if (typeof(this.users[userId]) == 'undefined') {
+			return;
+		}
+
+		this.cursors[userId] = {
+			x: command.getParam('x'),
+			y: command.getParam('y')
+		};
+
+		this.renderCursors();
+	}
+
+	this.userConnectingAction = function(command) {
+		//var userId = command.getParam('id');
+	}
+
+	// a page of the snapshot, strokes of this session are more recent here
+	// than in the snapshot so they are kept as they are
+	this.restoreAction = function(command) {
+		var restored = command.getParam('strokes', []);
+		var next = command.getParam('next');
+		var version = command.getParam('version');
+		var replaced = false;
+
+		if (this.restoring.version == null) {
+			this.restoring.version = version;
+		} else if (this.restoring.version != version) {
+			// the server took a new snapshot while paging through the old one
+			this.requestRestore();
+
+			return;
+		}
+
+		if (!this.restoring.cleared) {
+			this.keepStrokes(this.restoring.previous);
+
+			this.restoring.cleared = true;
+			this.document.clear();
+
+			this.redraw();
+		}
+
+		for (var i = 0; i < restored.length; i++) {
+			var stroke = Stroke.fromData(restored[i]);
+			var previous = this.restoring.previous[stroke.id];
+
+			// own strokes keep the points not sent yet, either way the fields
+			// are merged last-writer-wins so edits of others are not lost
+			if (previous != null && this.isOwnStroke(previous)) {
+				this.document.mergeFields(previous, stroke);
+
+				stroke = previous;
+			} else if (previous != null) {
+				this.document.mergeFields(stroke, previous);
+			}
+
+			replaced = replaced || this.getStroke(stroke.id) != null;
+
+			this.restoring.restored[stroke.id] = true;
+			this.addStroke(stroke);
+			this.queueRender(stroke);
+		}
+
+		if (replaced) {
+			this.scheduleRedraw();
+		}
+
+		this.restoring.loaded = command.getParam('offset', 0) + restored.length;
+		this.restoring.total = command.getParam('total', this.restoring.loaded);
+
+		this.updateRestoreProgress(this.restoring, false);
+
+		if (next != null) {
+			this.requestRestorePage(next);
+		} else {
+			this.finishRestore(version);
+		}
+	}
+
+	// the drawing commands since the snapshot version are fetched next, the
+	// strokes kept from before are reconciled with the board after that
+	this.finishRestore = function(version) {
+		var restoring = this.restoring;
+		var restoredCount = 0;
+
+		this.restoring = null;
+
+		for (var id in restoring.restored) {
+			restoredCount++;
+		}
+
+		// strokes drawn live while restoring ended up below the restored ones
+		if (this.document.order.length > restoredCount) {
+			this.scheduleRedraw();
+		}
+
+		this.updateRestoreProgress(restoring, true);
+
+		this.unreconciled = restoring.previous;
+
+		if (version == null) {
+			this.pendingOperations = {};
+			this.reconcileStrokes(false);
+
+			return;
+		}
+
+		this.boardVersion = version;
+		this.applyPendingOperations();
+		this.requestOperations();
+	}
+
+	// drawing commands are applied in board version order, unless the board
+	// could not be restored in which case they are applied as they come
+	this.receiveOperation = function(command) {
+		var version = command.getParam('version');
+
+		if (this.boardVersion == null && this.restoring == null) {
+			this.router.route(command);
+		} else if (this.boardVersion == null || version > this.boardVersion) {
+			this.pendingOperations[version] = command;
+			this.applyPendingOperations();
+		}
+	}
+
+	this.applyPendingOperations = function() {
+		if (this.boardVersion == null) {
+			return;
+		}
+
+		var command = null;
+
+		while ((command = this.pendingOperations[this.boardVersion + 1]) != null) {
+			delete this.pendingOperations[++this.boardVersion];
+
+			// strokes of this session are already complete here, though other
+			// users may have transformed or deleted them since
+			var clock = command.getParam('clock');
+
+			if (!this.isOwnStrokeId(command.getParam('stroke')) || (clock != null && clock[1] != this.sessionId)) {
+				this.router.route(command);
+			}
+		}
+
+		for (var version in this.pendingOperations) {
+			if (version <= this.boardVersion) {
+				delete this.pendingOperations[version];
+			} else {
+				// commands ahead of the board mean some were missed in between
+				this.requestOperations();
+			}
+		}
+	}
+
+	// missed drawing commands, fetched again while the board is still behind
+	this.operationsAction = function(command) {
+		var operations = command.getParam('operations', []);
+
+		if (this.boardVersion == null) {
+			return;
+		}
+
+		for (var i = 0; i < operations.length; i++) {
+			var operation = new SocketCommand('client', operations[i].action, operations[i].parameters);
+			var version = operation.getParam('version');
+
+			if (version > this.boardVersion) {
+				this.pendingOperations[version] = operation;
+			}
+		}
+
+		this.applyPendingOperations();
+
+		if (this.boardVersion < command.getParam('version')) {
+			this.requestOperations();
+		} else if (this.unreconciled != null) {
+			this.reconcileStrokes(true);
+		}
+	}
+
+	// strokes kept from before the restore that the board does not have are
+	// put back, once the board is up to date with the server these are the
+	// ones it lost or never got, those drawn by this session are sent back
+	// to it while the others are dropped as only their session can send them,
+	// and so are images as the server lost their bytes along with them and
+	// the browser does not store these
+	this.reconcileStrokes = function(send) {
+		var kept = this.unreconciled;
+		var missing = [];
+		var dropped = [];
+
+		this.unreconciled = null;
+
+		for (var id in kept) {
+			if (this.getStroke(id) != null) {
+				continue;
+			}
+
+			if (send && (!this.isOwnStroke(kept[id]) || kept[id].tool == TOOL.IMAGE)) {
+				dropped.push(id);
+
+				delete this.savedStrokes[id];
+			} else {
+				this.addStroke(kept[id]);
+				this.renderInserted(kept[id]);
+
+				missing.push(kept[id].toData());
+			}
+		}
+
+		if (this.storage != null && dropped.length > 0) {
+			this.storage.remove(dropped).then(null, function(error) {
+				console.log('Removing dropped strokes from the stored board failed: ' + error.message);
+			});
+		}
+
+		if (send) {
+			this.importStrokes(missing);
+		}
+	}
+
+	// strokes are imported one at a time as base64 encoded JSON in chunks the
+	// server can read at once, characters outside ASCII are escaped for
+	// btoa, a stroke the server refuses is skipped while a lost connection
+	// stops the import
+	this.importStrokes = function(strokes) {
+		if (strokes.length == 0) {
+			return;
+		}
+
+		var self = this;
+		var data = window.btoa(JSON.stringify(strokes[0]).replace(/[\u0080-\uffff]/g, function(character) {
+			return '\\u' + ('000' + character.charCodeAt(0).toString(16)).substr(-4);
+		}));
+
+		this.sendChunked('import-stroke', {stroke: strokes[0].id}, data, this.options.importChunkSize).then(function() {
+			self.importStrokes(strokes.slice(1));
+		}, function(error) {
+			console.log('Importing stroke ' + strokes[0].id + ' failed: ' + error.message);
+
+			if (typeof(error.code) == 'string') {
+				return;
+			}
+
+			self.importStrokes(strokes.slice(1));
+		});
+	}
+
+	this.importStrokesAction = function(command) {
+		var imported = command.getParam('strokes', []);
+
+		for (var i = 0; i < imported.length; i++) {
+			if (this.getStroke(imported[i].id) == null) {
+				var stroke = Stroke.fromData(imported[i]);
+
+				this.addStroke(stroke);
+				this.renderInserted(stroke);
+			}
+		}
+	}
+
+	// drawing commands of this client are only acknowledged with their version
+	this.boardVersionAction = function(command) {
+	}
+
+	this.isOwnStroke = function(stroke) {
+		return this.isOwnStrokeId(stroke.id);
+	}
+
+	this.isOwnStrokeId = function(strokeId) {
+		return strokeId != null && strokeId.indexOf(this.sessionId + '-') == 0;
+	}
+
+	this.beginStrokeAction = function(command) {
+		var userId = command.getParam('id');
+		var user = this.users[userId];
+		var stroke = new Stroke(
+			command.getParam('stroke'),
+			userId,
+			command.getParam('tool', TOOL.PEN),
+			command.getParam('color', user != null ? user.color : null),
+			command.getParam('width'),
+			command.getParam('opacity')
+		);
+
+		stroke.clock = command.getParam('clock');
+		stroke.addPoints(command.getParam('points', []), command.getParam('time'));
+
+		this.addStroke(stroke);
+		this.renderInserted(stroke);
+	}
+
+	this.extendStrokeAction = function(command) {
+		var stroke = this.getStroke(command.getParam('stroke'));
+
+		if (stroke == null) {
+			return;
+		}
+
+		var fromPoint = stroke.getPointCount();
+
+		stroke.addPoints(command.getParam('points', []), command.getParam('time'));
+
+		if (this.isTopStroke(stroke)) {
+			this.renderStroke(stroke, fromPoint);
+		} else {
+			this.scheduleRedraw();
+		}
+	}
+
+	this.endStrokeAction = function(command) {
+		var stroke = this.getStroke(command.getParam('stroke'));
+
+		if (stroke != null) {
+			stroke.finish(command.getParam('time'));
+
+			this.finishRendering(stroke);
+		}
+	}
+
+	this.addLineAction = function(command) {
+		this.addRemoteShape(command, TOOL.LINE);
+	}
+
+	this.addRectangleAction = function(command) {
+		this.addRemoteShape(command, TOOL.RECTANGLE);
+	}
+
+	this.addEllipseAction = function(command) {
+		this.addRemoteShape(command, TOOL.ELLIPSE);
+	}
+
+	this.addTextAction = function(command) {
+		this.addRemoteShape(command, TOOL.TEXT);
+	}
+
+	this.addImageAction = function(command) {
+		this.addRemoteShape(command, TOOL.IMAGE);
+	}
+
+	this.addRemoteShape = function(command, tool) {
+		var userId = command.getParam('id');
+		var user = this.users[userId];
+		var stroke = new Stroke(
+			command.getParam('stroke'),
+			userId,
+			tool,
+			command.getParam('color', user != null ? user.color : null),
+			command.getParam('width'),
+			command.getParam('opacity')
+		);
+
+		stroke.clock = command.getParam('clock');
+		stroke.addPoints(command.getParam('points', []), command.getParam('time'));
+		stroke.text = command.getParam('text', null);
+		stroke.finish(command.getParam('time'));
+
+		this.addStroke(stroke);
+		this.renderInserted(stroke);
+	}
+
+	// a stroke ordered below others that are already painted can not be
+	// painted over them, the board is drawn again instead
+	this.renderInserted = function(stroke) {
+		if (stroke.deleted) {
+			return;
+		}
+
+		if (this.isTopStroke(stroke)) {
+			this.renderStroke(stroke);
+		} else {
+			this.scheduleRedraw();
+		}
+	}
+
+	this.isTopStroke = function(stroke) {
+		var order = this.document.order;
+
+		return order.length > 0 && order[order.length - 1] == stroke.id;
+	}
+
+	this.transformStrokeAction = function(command) {
+		if (this.document.update(command.getParam('stroke'), {transform: command.getParam('transform')}, command.getParam('clock'))) {
+			this.redraw();
+		}
+	}
 
-		this.socket = new WebSocket(this.host + ':' + this.port);
+	this.deleteStrokeAction = function(command) {
+		this.setStrokeDeleted(command.getParam('stroke'), true, command.getParam('time'), command.getParam('clock'));
+		this.forgetDeletedImage(command.getParam('stroke'));
+	}
 
-		var self = this;
+	this.undoStrokeAction = function(command) {
+		this.setStrokeDeleted(command.getParam('stroke'), true, command.getParam('time'), command.getParam('clock'));
+	}
 
-		this.socket.onopen = function(event) {
-			console.log('Open: "' + event + '"');
-			self.onSocketOpen.apply(self, [event]);
-		}
+	this.redoStrokeAction = function(command) {
+		this.setStrokeDeleted(command.getParam('stroke'), false, command.getParam('time'), command.getParam('clock'));
+	}
 
-		this.socket.onclose = function(event) {
-			console.log('Close: "' + event + '"');
-			self.onSocketClose.apply(self, [event]);
-		}
+	this.userConnectedAction = function(command) {
+		var userId = command.getParam('id');
+		var color = command.getParam('color');
+		var user = new User(userId, color, null, null, null, command.getParam('session'));
 
-		this.socket.onerror = function(event) {
-			console.log('Error: "' + event + '"');
-			self.onSocketError.apply(self, [event]);
-		}
+		this.users[userId] = user;
 
-		this.socket.onmessage = function(message) {
-			console.log('Message: "' + message + '"');
-			self.onSocketMessage.apply(self, [message]);
-		}
+		this.renderNewUser(user);
 	}
 
-	this.addEventListener = function(type, callback) {
-		this.callbacks[type].push(callback);
+	this.userDisconnectedAction = function(command) {
+		var userId = command.getParam('id');
+		var user = this.users[userId];
+
+		delete this.cursors[userId];
+
+		this.renderUsedDisconnected(user);
+		this.renderCursors();
 	}
 
-	this.onSocketOpen = function(event) {
-		this.open = true;
+	// recoverable errors are shown over the board for a while, the others go
+	// back to the login form
+	this.showError = function(message, recoverable) {
+		if (recoverable) {
+			var notice = $('#notice');
 
-		for (var key in this.callbacks['onopen']) {
-			if (this.callbacks['onopen'][key].apply(this.callbacks['onopen'][key], [this, event]) === false) {
-				return;
-			}
+			window.clearTimeout(this.noticeTimeout);
+			notice.text(message).stop(true, true).fadeIn();
+
+			this.noticeTimeout = window.setTimeout(function() {
+				notice.fadeOut();
+			}, this.options.noticeDuration);
+
+			return;
 		}
+
+		$('#top-container').fadeOut();
+		$('#name-container').hide();
+		$('#status').html(message).show();;
+		$('#login-form').fadeIn();
 	}
 
-	this.onSocketClose = function(event) {
-		this.open = false;
+	this.updateRestoreProgress = function(restoring, done) {
+		this.renderRestoreProgress();
 
-		for (var key in this.callbacks['onclose']) {
-			if (this.callbacks['onclose'][key].apply(this.callbacks['onclose'][key], [this, event]) === false) {
-				return;
-			}
+		if (typeof(this.options.onRestoreProgress) == 'function') {
+			this.options.onRestoreProgress.apply(this, [{
+				loaded: restoring.loaded,
+				total: restoring.total,
+				done: done
+			}]);
 		}
 	}
 
-	this.onSocketError = function(event) {
-		for (var key in this.callbacks['onerror']) {
-			if (this.callbacks['onerror'][key].apply(this.callbacks['onerror'][key], [this, event]) === false) {
-				return;
-			}
+	this.renderRestoreProgress = function() {
+		if (this.restoring == null) {
+			$('#restore-progress').fadeOut();
+
+			return;
 		}
+
+		var total = this.restoring.total;
+		var percent = total ? Math.round(this.restoring.loaded / total * 100) : 0;
+
+		$('#restore-progress').attr('title', total != null ? 'Loading the board, ' + this.restoring.loaded + ' of ' + total + ' strokes' : 'Loading the board').show();
+		$('#restore-progress-bar').css('width', percent + '%');
 	}
 
-	this.onSocketMessage = function(message) {
-		for (var key in this.callbacks['onmessage']) {
-			if (this.callbacks['onmessage'][key].apply(this.callbacks['onmessage'][key], [this, message]) === false) {
-				return;
-			}
+	this.renderRooms = function(rooms) {
+		var container = $('#rooms');
+
+		container.empty();
+
+		if (rooms.length == 0) {
+			container.append('<div class="empty">No active boards yet</div>');
 		}
-	}
 
-	this.send = function(command) {
-		if (!this.open) {
-			throw 'Unable to send command, socket is not open';
+		for (var i = 0; i < rooms.length; i++) {
+			var room = rooms[i];
+
+			container.append('<a href="#' + escapeHtml(room.name) + '" class="room">' + escapeHtml(room.name) + '<span>' + room.users + (room.users == 1 ? ' user' : ' users') + '</span></a>');
 		}
+	}
 
-		var data = {
-			controller: command.controller,
-			action: command.action,
-			parameters: command.parameters
-		};
+	this.renderNewUser = function(user) {
+		var name = user.name != null ? escapeHtml(user.name) : '<em>Connecting #' + escapeHtml(user.id) + '</em>';
 
-		var encoded = this.encode(data);
+		$('#users').append('<div class="user" id="user-' + escapeHtml(user.id) + '" style="display: none;"><div><span style="background-color: ' + escapeHtml(user.color) + ';"></span></div><span class="name">' + name + '</span><span class="presence"></span><span class="quality quality-' + escapeHtml(user.quality) + '"></span></div>');
+		$('#user-' + user.id).slideDown();
 
-		this.socket.send(encoded);
+		this.renderPresenceChange(user);
 	}
 
-	this.encode = function(data) {
-		return data;
+	this.renderUsedDisconnected = function(user) {
+		$('#user-' + user.id).slideUp();
 	}
 
-	this.init();
-}
+	this.renderNameChange = function(userId, name) {
+		$('#user-' + userId + ' SPAN.name').text(name);
+	}
 
-var User = function(id, color, name) {
-	this.id = id;
-	this.color = color;
-	this.name = name || null;
-}
+	this.renderQualityChange = function(user, latency) {
+		$('#user-' + user.id + ' SPAN.quality')
+			.attr('class', 'quality quality-' + user.quality)
+			.attr('title', latency != null ? latency + 'ms' : '');
+	}
 
-var CollabDraw = function(host, port) {
-	this.canvas = null;
-	//this.layer = null;
-	this.socket = null;
-	this.id = null;
-	this.name = 'Unnamed';
-	this.users = {};
+	this.renderPresenceChange = function(user) {
+		$('#user-' + user.id)
+			.removeClass('presence-active presence-idle presence-away')
+			.addClass('presence-' + user.presence);
 
-	this.init = function() {
-		this.socket = new SocketClient(host, port);
+		$('#user-' + user.id + ' SPAN.presence').text(user.presence != 'active' ? user.presence : '');
+	}
 
-		var self = this;
+	// cursors keep their screen size regardless of the zoom level
+	this.renderCursors = function() {
+		if (this.cursorLayer == null) {
+			return;
+		}
 
-		this.socket.addEventListener('onopen', function(socket, event) {
-			self.onSocketOpen.apply(self, [socket, event]);
-		});
+		var layer = this.cursorLayer;
 
-		this.socket.addEventListener('onclose', function(socket, event) {
-			self.onSocketClose.apply(self, [socket, event]);
-		});
+		layer.clear();
+		layer.font('11px Tahoma, Geneva, sans-serif');
 
-		this.socket.addEventListener('onerror', function(socket, event) {
-			self.onSocketError.apply(self, [socket, event]);
-		});
+		for (var userId in this.cursors) {
+			var user = this.users[userId];
 
-		this.socket.addEventListener('onmessage', function(socket, message) {
-			self.onSocketMessage.apply(self, [socket, message]);
-		});
+			if (typeof(user) == 'undefined' || user.presence == 'away') {
+				continue;
+			}
 
-		this.socket.encode = function(data) {
-			return $.JSON.encode(data);
+			var cursor = this.cursors[userId];
+			var x = cursor.x * this.view.zoom + this.view.x;
+			var y = cursor.y * this.view.zoom + this.view.y;
+
+			layer.fillColor(user.color);
+			layer.fillCircle(x, y, 4, ALIGN.CENTER.MIDDLE);
+			layer.fillText(user.name != null ? user.name : '#' + user.id, x + 8, y + 4, ALIGN.LEFT.TOP);
 		}
 	}
 
-	this.initCanvas = function() {
-		this.canvas = new Canvas('canvas', 0, this.drawBackground);
-		//this.layer = this.canvas.createLayer('animation', 60, this.drawFrame);
+	// strokes are exported by the session that drew them, sessions of users
+	// no longer here are listed by their id
+	this.renderExportUsers = function() {
+		var select = $('#export-user');
+		var value = select.val();
+		var sessions = [];
+		var names = {};
 
-		this.canvas.fillColor('#FF0000');
-		this.canvas.strokeColor('#FF0000');
-		this.canvas.lineWidth(3);
-		this.canvas.lineCap(CAP.ROUND);
+		for (var userId in this.users) {
+			var user = this.users[userId];
 
-		this.canvas.scene.app = this;
-		this.canvas.scene.lineWidth = 3;
-		this.canvas.scene.lastX = null;
-		this.canvas.scene.lastY = null;
+			if (user.session != null && sessions.indexOf(user.session) == -1) {
+				sessions.push(user.session);
+				names[user.session] = user.name != null ? user.name : '#' + user.id;
+			}
+		}
 
-		this.canvas.onMouseScroll = function(delta, absolute) {
-			this.scene.lineWidth += delta;
+		for (var i = 0; i < this.document.order.length; i++) {
+			var stroke = this.document.strokes[this.document.order[i]];
 
-			if (this.scene.lineWidth < 1) {
-				this.scene.lineWidth = 1;
+			if (!stroke.deleted && sessions.indexOf(stroke.getSession()) == -1) {
+				sessions.push(stroke.getSession());
 			}
+		}
+
+		select.find('OPTION[value!=""]').remove();
 
-			this.lineWidth(this.scene.lineWidth);
+		for (var j = 0; j < sessions.length; j++) {
+			var name = typeof(names[sessions[j]]) != 'undefined' ? names[sessions[j]] : '#' + sessions[j];
+
+			select.append('<option value="' + escapeHtml(sessions[j]) + '">' + escapeHtml(name) + '</option>');
 		}
 
-		this.canvas.onMouseMove = function(x, y) {
-			if (this.mouse.left) {
-				if (this.scene.lastX != null) {
-					this.scene.app.strokeLine(this.scene.lastX, this.scene.lastY, x, y);
+		select.val(value);
+	}
+
+	this.renderExportRegion = function() {
+		if (this.previewLayer == null) {
+			return;
+		}
 
-					//this.strokeLine(this.scene.lastX, this.scene.lastY, x, y);
+		this.previewLayer.clear();
 
-					//this.fillCircle(x, y, 2, ALIGN.CENTER.MIDDLE);
-				}
+		if (this.exportRegion == null) {
+			return;
+		}
+
+		var region = this.exportRegion;
+		var outline = new Stroke(null, this.id, TOOL.REGION);
+
+		outline.addPoints([region.x, region.y, region.x + region.width, region.y + region.height]);
+
+		this.renderShape(this.previewLayer, outline);
+	}
+
+	// outline is drawn with the alignment and rotation of the canvas around
+	// the center of the transformed stroke
+	this.renderSelection = function() {
+		if (this.selectionLayer == null) {
+			return;
+		}
+
+		var layer = this.selectionLayer;
+		var stroke = this.getSelectedStroke();
+
+		layer.clear();
+
+		if (stroke == null) {
+			return;
+		}
+
+		var transform = stroke.getTransform();
+		var bounds = this.getStrokeBounds(stroke);
+		var center = this.transformPoint(stroke, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+		var top = this.transformPoint(stroke, bounds.x + bounds.width / 2, bounds.y);
+		var handles = this.getSelectionHandles(stroke);
+		var size = this.options.handleSize / this.view.zoom;
 
-				this.scene.lastX = x;
-				this.scene.lastY = y;
+		layer.save();
+		this.applyView(layer);
+		layer.strokeColor('#FFFFFF');
+		layer.fillColor('#FFFFFF');
+		layer.lineWidth(1 / this.view.zoom);
+		layer.setGlobalAlpha(0.75);
+		layer.strokeRect(center[0], center[1], bounds.width * transform.scale, bounds.height * transform.scale, ALIGN.CENTER.MIDDLE, transform.rotation);
+
+		for (var i = 0; i < handles.length; i++) {
+			var handle = handles[i];
+
+			if (handle.mode == 'rotate') {
+				layer.strokeLine(top[0], top[1], handle.x, handle.y);
+				layer.fillCircle(handle.x, handle.y, size / 2, ALIGN.CENTER.MIDDLE);
 			} else {
-				this.scene.lastX = null;
-				this.scene.lastY = null;
+				layer.fillRect(handle.x, handle.y, size, size, ALIGN.CENTER.MIDDLE, transform.rotation);
 			}
 		}
 
-		this.socket.send(new SocketCommand('server', 'request-restore'));
+		layer.restore();
 	}
 
-	this.setName = function(name) {
-		this.name = name;
+	// the eraser path is drawn over the export region that shares the layer
+	this.renderErasing = function() {
+		this.renderExportRegion();
 
-		this.socket.send(new SocketCommand('server', 'set-name', {name: name}));
+		if (this.erasing != null) {
+			this.renderStroke(this.erasing, 0, this.previewLayer);
+		}
 	}
 
-	this.drawBackground = function() {
-		this.clear();
+	// redraws at most once per animation frame while panning or zooming
+	this.scheduleRedraw = function() {
+		if (this.redrawTimeout != null) {
+			return;
+		}
 
-		//this.fillText('Test', 20, 20);
+		var self = this;
+		var callback = function() {
+			self.redrawTimeout = null;
+			self.redraw();
+		}
+
+		if (typeof(window.requestAnimationFrame) == 'function') {
+			this.redrawTimeout = window.requestAnimationFrame(callback);
+		} else {
+			this.redrawTimeout = window.setTimeout(callback, 16);
+		}
 	}
 
-	this.drawFrame = function(frameDuration, totalDuration, frameNumber) {
-		this.clear();
+	this.redraw = function() {
+		this.canvas.clear();
+		this.renderQueue = [];
 
-		this.fillText('FPS: ' + this.getFPS(), this.width - 20, 10, ALIGN.RIGHT.TOP);
-	}
+		for (var i = 0; i < this.document.order.length; i++) {
+			var stroke = this.document.strokes[this.document.order[i]];
 
-	this.onSocketOpen = function(socket, event) {
-		$('#status').slideUp();
-		$('#name-container').slideDown();
+			if (!stroke.deleted) {
+				this.renderStroke(stroke);
+			}
+		}
 
-		this.socket.send(new SocketCommand('server', 'hello'));
-	}
+		this.renderExportRegion();
+		this.renderSelection();
+		this.renderCursors();
 
-	this.onSocketClose = function(socket, event) {
-		this.showError('Connection lost');
+		if (this.replay != null) {
+			this.replay.dirty = true;
+		}
 	}
 
-	this.onSocketError = function(socket, event) {
-		this.showError('Error occured');
+	// restored strokes are rendered a few at a time so that a large board
+	// shows up progressively instead of blocking the page
+	this.queueRender = function(stroke) {
+		this.renderQueue.push(stroke);
+		this.scheduleRenderQueue();
 	}
 
-	this.onSocketMessage = function(socket, message) {
-		var data = message.data.replace(/\0/, '').replace(/\255/, '');
-		var request = $.parseJSON(data);
+	this.scheduleRenderQueue = function() {
+		if (this.renderQueueTimeout != null) {
+			return;
+		}
 
-		if (typeof(request.action) == 'undefined') {
-			throw 'Unable to handle message, no action given';
+		var self = this;
+		var callback = function() {
+			self.renderQueueTimeout = null;
+			self.renderQueued();
 		}
 
-		var actionName = request.action;
+		if (typeof(window.requestAnimationFrame) == 'function') {
+			this.renderQueueTimeout = window.requestAnimationFrame(callback);
+		} else {
+			this.renderQueueTimeout = window.setTimeout(callback, 16);
+		}
+	}
 
-		do {
-			var dashPos = actionName.indexOf('-');
+	this.renderQueued = function() {
+		var deadline = (new Date()).getTime() + this.options.restoreRenderBudget;
 
-			if (dashPos == -1) {
-				break;
-			}
+		while (this.renderQueue.length > 0 && (new Date()).getTime() < deadline) {
+			var stroke = this.renderQueue.shift();
 
-			actionName = actionName.substr(0, dashPos) + actionName.substr(dashPos + 1, 1).toUpperCase() + actionName.substr(dashPos + 2);
-		} while (true);
+			// skips strokes deleted or replaced since they were queued
+			if (!stroke.deleted && this.document.strokes[stroke.id] === stroke) {
+				this.renderStroke(stroke);
+			}
+		}
 
-		actionName = actionName + 'Action';
+		if (this.renderQueue.length > 0) {
+			this.scheduleRenderQueue();
+		}
+	}
 
-		if (typeof(this[actionName]) != 'function') {
-			throw 'Unsupported action "' + actionName + '" called';
+	// translucent strokes are rendered in overlapping segments while being drawn
+	// which shows at the joints, so they are drawn again in one go when finished
+	this.finishRendering = function(stroke) {
+		if (stroke.opacity < 1 && stroke.isFreehand()) {
+			this.redraw();
 		}
+	}
 
-		var command = new SocketCommand(request.controller, request.action, request.parameters);
+	// renders the whole stroke or only the part added since given point, onto
+	// the board unless another target and view are given
+	this.renderStroke = function(stroke, fromPoint, target, view) {
+		target = target || this.canvas;
 
-		this[actionName](command);
-	}
+		if (!stroke.isFreehand()) {
+			this.renderShape(target, stroke, view);
 
-	this.strokeLine = function(x1, y1, x2, y2) {
-		this.socket.send(new SocketCommand('server', 'stroke-line', {
-			x1: x1,
-			y1: y1,
-			x2: x2,
-			y2: y2
-		}))
-	}
+			return;
+		}
 
-	this.welcomeAction = function(command) {
-		this.id = command.getParam('id');
-		this.color = command.getParam('color');
+		var points = stroke.points;
+		var start = fromPoint > 0 ? (fromPoint - 1) * 2 : 0;
 
-		var existingUsers = command.getParam('users');
+		target.save();
+		this.applyView(target, view);
+		this.applyTransform(target, stroke);
+		target.strokeColor(stroke.color);
+		target.fillColor(stroke.color);
+		target.lineWidth(stroke.width);
+		target.setGlobalAlpha(stroke.opacity);
 
-		for (var key in existingUsers) {
-			var userInfo = existingUsers[key];
-			var user = new User(userInfo.id, userInfo.color, userInfo.name);
+		if (stroke.tool == TOOL.ERASER) {
+			target.setCompositeOperation(OP.DESTINATION_OUT);
+		}
 
-			this.users[user.id] = user;
-			this.renderNewUser(user);
+		if (points.length == 2) {
+			target.fillCircle(points[0], points[1], stroke.width / 2, ALIGN.CENTER.MIDDLE);
+		} else if (points.length > start + 2) {
+			target.beginPath();
+			target.moveTo(points[start], points[start + 1]);
+
+			for (var i = start + 2; i < points.length; i += 2) {
+				target.lineTo(points[i], points[i + 1]);
+			}
+
+			target.stroke();
 		}
+
+		target.restore();
 	}
 
-	this.nameChangedAction = function(command) {
-		var userId = command.getParam('id');
-		var name = command.getParam('name');
+	// renders onto the canvas, the preview layer or an export
+	this.renderShape = function(target, stroke, view) {
+		var points = stroke.points;
+		var x = Math.min(points[0], points[2]);
+		var y = Math.min(points[1], points[3]);
+		var width = Math.abs(points[2] - points[0]);
+		var height = Math.abs(points[3] - points[1]);
 
-		this.users[userId].name = name;
+		target.save();
+		this.applyView(target, view);
+		this.applyTransform(target, stroke);
+		target.strokeColor(stroke.color);
+		target.fillColor(stroke.color);
+		target.lineWidth(stroke.width);
+		target.setGlobalAlpha(stroke.opacity);
 
-		this.renderNameChange(userId, name);
-	}
+		switch (stroke.tool) {
+			case TOOL.LINE:
+				target.strokeLine(points[0], points[1], points[2], points[3]);
+				break;
 
-	this.userConnectingAction = function(command) {
-		//var userId = command.getParam('id');
-	}
+			case TOOL.RECTANGLE:
+				target.strokeRect(x, y, width, height, ALIGN.LEFT.TOP);
+				break;
 
-	this.restoreAction = function(command) {
-		var lines = command.getParam('lines');
+			case TOOL.ELLIPSE:
+				target.strokeEllipse(x, y, width, height, ALIGN.LEFT.TOP);
+				break;
 
-		for (var key in lines) {
-			var line = lines[key];
+			case TOOL.TEXT:
+				target.font(this.getFontSize(stroke.width) + 'px Tahoma, Geneva, sans-serif');
+				target.fillText(stroke.text, points[0], points[1], ALIGN.LEFT.TOP);
+				break;
+
+			// a placeholder is shown until the image is loaded
+			case TOOL.IMAGE:
+				var image = this.getImage(stroke.id);
+
+				if (image != null) {
+					target.drawImage(image, x, y, width, height, ALIGN.LEFT.TOP);
+				} else {
+					target.setGlobalAlpha(stroke.opacity * 0.25);
+					target.fillRect(x, y, width, height, ALIGN.LEFT.TOP);
+				}
+				break;
 
-			this.renderStrokeLine(line.color, line.x1, line.y1, line.x2, line.y2);
+			// outline of the export region keeps its width at any zoom level
+			case TOOL.REGION:
+				target.strokeColor('#FFFFFF');
+				target.lineWidth(1 / (view || this.view).zoom);
+				target.setGlobalAlpha(0.75);
+				target.strokeRect(x, y, width, height, ALIGN.LEFT.TOP);
+				break;
 		}
+
+		target.restore();
 	}
 
-	this.strokeLineAction = function(command) {
-		var userId = command.getParam('id');
-		var user = this.users[userId];
+	// moves, rotates and scales the coordinates the stroke was drawn in with
+	// the alignment logic of the canvas, around the center of its bounds
+	this.applyTransform = function(target, stroke) {
+		if (stroke.transform == null) {
+			return;
+		}
 
-		this.renderStrokeLine(
-			user.color,
-			command.getParam('x1'),
-			command.getParam('y1'),
-			command.getParam('x2'),
-			command.getParam('y2')
-		)
+		var transform = stroke.transform;
+		var bounds = this.getStrokeBounds(stroke);
+		var cx = bounds.x + bounds.width / 2;
+		var cy = bounds.y + bounds.height / 2;
+		var params = target.resolveRenderParameters(cx + transform.x, cy + transform.y, bounds.width * transform.scale, bounds.height * transform.scale, ALIGN.CENTER.MIDDLE, transform.rotation);
+
+		target.translate(params.tx, params.ty);
+		target.rotate(params.r * (Math.PI / 180.0));
+		target.scale(transform.scale, transform.scale);
+		target.translate(-cx, -cy);
 	}
 
-	this.userConnectedAction = function(command) {
-		var userId = command.getParam('id');
-		var color = command.getParam('color');
-		var user = new User(userId, color);
+	// the point as applyTransform() moves it, or back from where it was moved
+	this.transformPoint = function(stroke, x, y, inverse) {
+		if (stroke.transform == null) {
+			return [x, y];
+		}
 
-		this.users[userId] = user;
+		var transform = stroke.transform;
+		var bounds = this.getStrokeBounds(stroke);
+		var cx = bounds.x + bounds.width / 2;
+		var cy = bounds.y + bounds.height / 2;
+		var angle = transform.rotation * (Math.PI / 180.0);
+		var cos = Math.cos(inverse ? -angle : angle);
+		var sin = Math.sin(inverse ? -angle : angle);
 
-		this.renderNewUser(user);
-	}
+		if (inverse) {
+			x = (x - cx - transform.x) / transform.scale;
+			y = (y - cy - transform.y) / transform.scale;
 
-	this.userDisconnectedAction = function(command) {
-		var userId = command.getParam('id');
-		var user = this.users[userId];
+			return [cx + x * cos - y * sin, cy + x * sin + y * cos];
+		}
 
-		this.renderUsedDisconnected(user);
-	}
+		x = (x - cx) * transform.scale;
+		y = (y - cy) * transform.scale;
 
-	this.showError = function(message) {
-		$('#top-container').fadeOut();
-		$('#name-container').hide();
-		$('#status').html(message).show();;
-		$('#login-form').fadeIn();
+		return [cx + transform.x + x * cos - y * sin, cy + transform.y + x * sin + y * cos];
 	}
 
-	this.renderNewUser = function(user) {
-		var name = user.name != null ? user.name : '<em>Connecting #' + user.id + '</em>';
+	// extent of the stroke as it was drawn including its width, the extent of
+	// text is estimated from its length and font size
+	this.getStrokeBounds = function(stroke) {
+		var points = stroke.points.slice(0);
+		var margin = stroke.width / 2;
+		var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
-		$('#users').append('<div class="user" id="user-' + user.id + '" style="display: none;"><div><span style="background-color: ' + user.color + ';"></span></div><span class="name">' + name + '</span></div>');
-		$('#user-' + user.id).slideDown();
-	}
+		if (stroke.tool == TOOL.TEXT) {
+			var size = this.getFontSize(stroke.width);
 
-	this.renderUsedDisconnected = function(user) {
-		$('#user-' + user.id).slideUp();
+			points.push(points[0] + stroke.text.length * size * 0.6, points[1] + size * 1.2);
+		}
+
+		for (var i = 0; i < points.length; i += 2) {
+			minX = Math.min(minX, points[i]);
+			minY = Math.min(minY, points[i + 1]);
+			maxX = Math.max(maxX, points[i]);
+			maxY = Math.max(maxY, points[i + 1]);
+		}
+
+		return {
+			x: minX - margin,
+			y: minY - margin,
+			width: maxX - minX + margin * 2,
+			height: maxY - minY + margin * 2
+		};
 	}
 
-	this.renderNameChange = function(userId, name) {
-		$('#user-' + userId + ' SPAN.name').html(name);
+	// transformed corners of the bounds as a flat list of x, y pairs
+	this.getStrokeCorners = function(stroke) {
+		var bounds = this.getStrokeBounds(stroke);
+		var corners = [
+			bounds.x, bounds.y,
+			bounds.x + bounds.width, bounds.y,
+			bounds.x + bounds.width, bounds.y + bounds.height,
+			bounds.x, bounds.y + bounds.height
+		];
+
+		for (var i = 0; i < corners.length; i += 2) {
+			var point = this.transformPoint(stroke, corners[i], corners[i + 1]);
+
+			corners[i] = point[0];
+			corners[i + 1] = point[1];
+		}
+
+		return corners;
 	}
 
-	this.renderStrokeLine = function(color, x1, y1, x2, y2) {
-		this.canvas.save();
-		this.canvas.strokeColor(color);
-		this.canvas.strokeLine(
-			x1,
-			y1,
-			x2,
-			y2
-		);
-		this.canvas.restore();
+	// text size follows the brush width
+	this.getFontSize = function(width) {
+		return Math.round(width * 4 + 8);
 	}
 }
\ No newline at end of file
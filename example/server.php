@@ -21,11 +21,13 @@ class SocketCommand {
 	private $controller;
 	private $action;
 	private $parameters;
+	private $id;
 
-	public function __construct($controller, $action, array $parameters = array()) {
+	public function __construct($controller, $action, array $parameters = array(), $id = null) {
 		$this->controller = $controller;
 		$this->action = $action;
 		$this->parameters = $parameters;
+		$this->id = $id;
 	}
 
 	public function getController() {
@@ -40,6 +42,11 @@ class SocketCommand {
 		return $this->parameters;
 	}
 
+	// correlation id of a request, replies carry the same id
+	public function getId() {
+		return $this->id;
+	}
+
 	public function getParam($name, $default = null) {
 		if (array_key_exists($name, $this->parameters)) {
 			return $this->parameters[$name];
@@ -48,16 +55,406 @@ class SocketCommand {
 		}
 	}
 
-	public function __toString() {
+	public function toArray() {
 		$data = array(
 			'controller' => $this->controller,
 			'action' => $this->action,
 			'parameters' => $this->parameters
 		);
 
+		if ($this->id !== null) {
+			$data['id'] = $this->id;
+		}
+
+		return $data;
+	}
+
+	public function __toString() {
+		return json_encode($this->toArray());
+	}
+
+}
+
+/**
+ * Interface of message codecs, the name doubles as the WebSocket sub-protocol
+ */
+interface SocketCodec {
+
+	public function getName();
+
+	public function isBinary();
+
+	public function encode(array $data);
+
+	public function decode($message);
+
+}
+
+class JsonCodec implements SocketCodec {
+
+	public function getName() {
+		return 'json';
+	}
+
+	public function isBinary() {
+		return false;
+	}
+
+	public function encode(array $data) {
 		return json_encode($data);
 	}
 
+	public function decode($message) {
+		return json_decode($message, true);
+	}
+
+}
+
+/**
+ * Compact binary codec, see BinaryCodec in lib/draw/main.js for the layout
+ */
+class BinaryCodec implements SocketCodec {
+
+	const FRAME_COMMAND = 0x00;
+	const FRAME_EXTEND_STROKE = 0x01;
+
+	const TAG_NULL = 0x00;
+	const TAG_FALSE = 0x01;
+	const TAG_TRUE = 0x02;
+	const TAG_INT8 = 0x03;
+	const TAG_INT16 = 0x04;
+	const TAG_INT32 = 0x05;
+	const TAG_FLOAT64 = 0x06;
+	const TAG_STRING8 = 0x07;
+	const TAG_STRING32 = 0x08;
+	const TAG_ARRAY = 0x09;
+	const TAG_OBJECT = 0x0A;
+
+	private static $controllers = array('server', 'client');
+
+	private $message;
+	private $offset;
+
+	public function getName() {
+		return 'binary';
+	}
+
+	public function isBinary() {
+		return true;
+	}
+
+	public function encode(array $data) {
+		if ($this->isExtendStroke($data)) {
+			return chr(self::FRAME_EXTEND_STROKE) . $this->encodeExtendStroke($data);
+		}
+
+		return chr(self::FRAME_COMMAND) . $this->encodeValue($data);
+	}
+
+	public function decode($message) {
+		$this->message = $message;
+		$this->offset = 0;
+
+		$frameType = ord($this->read(1));
+
+		if ($frameType == self::FRAME_EXTEND_STROKE) {
+			return $this->decodeExtendStroke();
+		} else if ($frameType != self::FRAME_COMMAND) {
+			throw new Exception('Unsupported binary frame type ' . $frameType);
+		}
+
+		return $this->decodeValue();
+	}
+
+	private function isExtendStroke(array $data) {
+		if ($data['action'] != 'extend-stroke' || isset($data['id'])) {
+			return false;
+		}
+
+		$controller = array_search($data['controller'], self::$controllers, true);
+		$params = $data['parameters'];
+
+		if ($controller === false || array_diff(array_keys($params), array('id', 'stroke', 'points', 'time', 'version'))) {
+			return false;
+		}
+
+		$userId = isset($params['id']) ? $params['id'] : 0;
+		$points = isset($params['points']) ? $params['points'] : null;
+		$time = isset($params['time']) ? $params['time'] : null;
+		$version = isset($params['version']) ? $params['version'] : null;
+
+		if (
+			!is_int($userId) || $userId < 0 || $userId > 0xFFFFFFFF
+			|| ($userId == 0) != ($controller == 0)
+			|| ($controller == 0 ? $time !== null : !is_int($time) && !is_float($time))
+			|| ($controller == 0 ? $version !== null : !is_int($version) || $version < 0 || $version > 0xFFFFFFFF)
+			|| !isset($params['stroke']) || !is_string($params['stroke'])
+			|| !preg_match('/^[\x20-\x7E]{1,255}$/', $params['stroke'])
+			|| !is_array($points) || count($points) % 2 != 0 || count($points) / 2 > 65535
+		) {
+			return false;
+		}
+
+		$points = array_values($points);
+
+		foreach ($points as $i => $value) {
+			if (!is_int($value) || !self::isInt16($value)) {
+				return false;
+			}
+
+			if ($i >= 2 && !self::isInt16($value - $points[$i - 2])) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	private function encodeExtendStroke(array $data) {
+		$params = $data['parameters'];
+		$points = array_values($params['points']);
+
+		$encoded = chr(array_search($data['controller'], self::$controllers, true))
+			. pack('V', isset($params['id']) ? $params['id'] : 0)
+			. chr(strlen($params['stroke'])) . $params['stroke']
+			. pack('v', count($points) / 2);
+
+		foreach ($points as $i => $value) {
+			$encoded .= pack('v', ($i < 2 ? $value : $value - $points[$i - 2]) & 0xFFFF);
+		}
+
+		if (isset($params['time'])) {
+			$encoded .= self::packFloat64($params['time']) . pack('V', $params['version']);
+		}
+
+		return $encoded;
+	}
+
+	private function decodeExtendStroke() {
+		$controller = ord($this->read(1));
+
+		if (!isset(self::$controllers[$controller])) {
+			throw new Exception('Unknown extend-stroke controller ' . $controller);
+		}
+
+		$userId = unpack('V', $this->read(4));
+		$strokeId = $this->read(ord($this->read(1)));
+		$count = unpack('v', $this->read(2));
+		$points = $this->readInt16s($count[1] * 2);
+
+		for ($i = 2; $i < count($points); $i++) {
+			$points[$i] += $points[$i - 2];
+		}
+
+		$params = array(
+			'stroke' => $strokeId,
+			'points' => $points
+		);
+
+		if ($userId[1] != 0) {
+			$params['id'] = $userId[1];
+		}
+
+		if ($controller == 1) {
+			$params['time'] = self::unpackFloat64($this->read(8));
+			$version = unpack('V', $this->read(4));
+			$params['version'] = $version[1];
+		}
+
+		return array(
+			'controller' => self::$controllers[$controller],
+			'action' => 'extend-stroke',
+			'parameters' => $params
+		);
+	}
+
+	private function readInt16s($count) {
+		if ($count == 0) {
+			return array();
+		}
+
+		$values = array_values(unpack('v' . $count, $this->read($count * 2)));
+
+		foreach ($values as $key => $value) {
+			$values[$key] = $value >= 0x8000 ? $value - 0x10000 : $value;
+		}
+
+		return $values;
+	}
+
+	private static function isInt16($value) {
+		return $value >= -32768 && $value <= 32767;
+	}
+
+	private function encodeValue($value) {
+		if ($value === null) {
+			return chr(self::TAG_NULL);
+		} else if ($value === false) {
+			return chr(self::TAG_FALSE);
+		} else if ($value === true) {
+			return chr(self::TAG_TRUE);
+		} else if (is_int($value) && $value >= -128 && $value <= 127) {
+			return chr(self::TAG_INT8) . pack('c', $value);
+		} else if (is_int($value) && $value >= -32768 && $value <= 32767) {
+			return chr(self::TAG_INT16) . pack('v', $value & 0xFFFF);
+		} else if (is_int($value) && $value >= -2147483648 && $value <= 2147483647) {
+			return chr(self::TAG_INT32) . pack('V', $value & 0xFFFFFFFF);
+		} else if (is_int($value) || is_float($value)) {
+			return chr(self::TAG_FLOAT64) . self::packFloat64($value);
+		} else if (is_string($value)) {
+			return $this->encodeString($value);
+		} else if (is_object($value)) {
+			$value = get_object_vars($value);
+		}
+
+		if (!is_array($value)) {
+			throw new Exception('Unable to encode value of type ' . gettype($value));
+		}
+
+		$encoded = '';
+
+		if (empty($value) || array_keys($value) === range(0, count($value) - 1)) {
+			foreach ($value as $item) {
+				$encoded .= $this->encodeValue($item);
+			}
+
+			return chr(self::TAG_ARRAY) . pack('V', count($value)) . $encoded;
+		}
+
+		foreach ($value as $key => $item) {
+			$encoded .= $this->encodeString((string)$key) . $this->encodeValue($item);
+		}
+
+		return chr(self::TAG_OBJECT) . pack('V', count($value)) . $encoded;
+	}
+
+	private function encodeString($value) {
+		if (strlen($value) <= 255) {
+			return chr(self::TAG_STRING8) . chr(strlen($value)) . $value;
+		}
+
+		return chr(self::TAG_STRING32) . pack('V', strlen($value)) . $value;
+	}
+
+	private function decodeValue() {
+		$tag = ord($this->read(1));
+
+		switch ($tag) {
+			case self::TAG_NULL:
+				return null;
+
+			case self::TAG_FALSE:
+				return false;
+
+			case self::TAG_TRUE:
+				return true;
+
+			case self::TAG_INT8:
+				$value = unpack('c', $this->read(1));
+
+				return $value[1];
+
+			case self::TAG_INT16:
+				$value = unpack('v', $this->read(2));
+
+				return $value[1] >= 0x8000 ? $value[1] - 0x10000 : $value[1];
+
+			case self::TAG_INT32:
+				$value = unpack('V', $this->read(4));
+
+				return $value[1] >= 0x80000000 ? $value[1] - 0x100000000 : $value[1];
+
+			case self::TAG_FLOAT64:
+				return self::unpackFloat64($this->read(8));
+
+			case self::TAG_STRING8:
+				return $this->read(ord($this->read(1)));
+
+			case self::TAG_STRING32:
+				$length = unpack('V', $this->read(4));
+
+				return $this->read($length[1]);
+
+			case self::TAG_ARRAY:
+			case self::TAG_OBJECT:
+				$count = unpack('V', $this->read(4));
+				$items = array();
+
+				for ($i = 0; $i < $count[1]; $i++) {
+					if ($tag == self::TAG_ARRAY) {
+						$items[] = $this->decodeValue();
+					} else {
+						$key = $this->decodeValue();
+						$items[$key] = $this->decodeValue();
+					}
+				}
+
+				return $items;
+		}
+
+		throw new Exception('Unknown binary value tag ' . $tag);
+	}
+
+	private function read($length) {
+		if ($this->offset + $length > strlen($this->message)) {
+			throw new Exception('Unexpected end of binary frame at byte ' . $this->offset);
+		}
+
+		$bytes = substr($this->message, $this->offset, $length);
+		$this->offset += $length;
+
+		return (string)$bytes;
+	}
+
+	// pack('d') uses machine byte order, the frames are little-endian
+	public static function packFloat64($value) {
+		$bytes = pack('d', $value);
+
+		return self::isBigEndian() ? strrev($bytes) : $bytes;
+	}
+
+	public static function unpackFloat64($bytes) {
+		$value = unpack('d', self::isBigEndian() ? strrev($bytes) : $bytes);
+
+		return $value[1];
+	}
+
+	private static function isBigEndian() {
+		return pack('S', 1) === pack('n', 1);
+	}
+
+}
+
+/**
+ * Registry of codecs, encodes messages with the codec negotiated by the client
+ */
+class SocketCodecs {
+
+	private static $codecs = array();
+
+	public static function add(SocketCodec $codec) {
+		self::$codecs[$codec->getName()] = $codec;
+	}
+
+	public static function getNames() {
+		return array_keys(self::$codecs);
+	}
+
+	// clients that did not negotiate a protocol use json
+	public static function get(SocketClient $client) {
+		if ($client->protocol !== null && isset(self::$codecs[$client->protocol])) {
+			return self::$codecs[$client->protocol];
+		}
+
+		return self::$codecs['json'];
+	}
+
+	public static function send(SocketClient $client, SocketCommand $command) {
+		$codec = self::get($client);
+
+		$client->send($codec->encode($command->toArray()), $codec->isBinary());
+	}
+
 }
 
 /**
@@ -97,11 +494,20 @@ class SocketRouter {
 			$parameters = $request['parameters'];
 		}
 
-		$command = new SocketCommand($request['controller'], $request['action'], $parameters);
+		$id = isset($request['id']) ? $request['id'] : null;
+
+		$command = new SocketCommand($request['controller'], $request['action'], $parameters, $id);
 
 		call_user_func_array(array(self::$controllers[$controllerName], $actionName), array($server, $sender, $command));
 	}
 
+	// the controller of given name or null when no command has reached it yet
+	public static function getController($requestedController) {
+		$controllerName = self::getControllerName($requestedController);
+
+		return isset(self::$controllers[$controllerName]) ? self::$controllers[$controllerName] : null;
+	}
+
 	// convert "user-manager" to "UserManagerController" etc
 	private static function getControllerName($requestedController) {
 		return str_replace(' ', '', ucwords(str_replace('-', ' ', $requestedController))) . 'Controller';
@@ -128,8 +534,125 @@ class SocketRouter {
 
 }
 
+class Rooms {
+
+	const DEFAULT_ROOM = 'main';
+
+	public static function isValidName($name) {
+		return is_string($name) && preg_match('/^[a-z0-9_-]{1,32}$/', $name);
+	}
+
+	// clients that have not said hello yet are in no room
+	public static function getClients(SocketServer $server, $room) {
+		$clients = array();
+
+		if ($room === null) {
+			return $clients;
+		}
+
+		foreach ($server->getClients() as $client) {
+			if ($client->get('room') === $room) {
+				$clients[] = $client;
+			}
+		}
+
+		return $clients;
+	}
+
+	public static function broadcast(SocketServer $server, $room, SocketCommand $command, SocketClient $except = null) {
+		foreach (self::getClients($server, $room) as $client) {
+			if ($client !== $except) {
+				SocketCodecs::send($client, $command);
+			}
+		}
+	}
+
+	// rooms with at least one participant
+	public static function getList(SocketServer $server) {
+		$users = array();
+
+		foreach ($server->getClients() as $client) {
+			$room = $client->get('room');
+
+			if ($room !== null) {
+				$users[$room] = isset($users[$room]) ? $users[$room] + 1 : 1;
+			}
+		}
+
+		ksort($users);
+
+		$rooms = array();
+
+		foreach ($users as $name => $count) {
+			$rooms[] = array(
+				'name' => (string)$name,
+				'users' => $count
+			);
+		}
+
+		return $rooms;
+	}
+}
+
+class Board {
+
+	public $strokes = array();
+
+	public $strokeSessions = array();
+
+	// incremented by every drawing command broadcast to the room
+	public $version = 0;
+
+	// strokes as they were at the snapshot version, restored in pages
+	public $snapshot = array();
+
+	public $snapshotVersion = 0;
+
+	// drawing commands since the snapshot keyed by their version
+	public $operations = array();
+
+	// base64 encoded images keyed by the id of the stroke placing them, along
+	// with the client that uploaded them until they are placed
+	public $images = array();
+
+	// images still being uploaded keyed the same way
+	public $uploads = array();
+
+	// stroke being imported by every client, keyed by the client id
+	public $imports = array();
+}
+
 class ServerController {
 
+	// points sent per restore page, a page holds at least one stroke
+	const RESTORE_PAGE_POINTS = 20000;
+
+	// logged drawing commands that make the board take a new snapshot
+	const SNAPSHOT_OPERATIONS = 2000;
+
+	// drawing commands sent per reply to request-operations
+	const OPERATIONS_PAGE_SIZE = 500;
+
+	// length of a stroke imported as base64 encoded JSON
+	const IMPORT_LENGTH = 1048576;
+
+	// length of an imported chunk, the server reads a message in reads of
+	// 4096 bytes so that a chunk has to fit in one of them
+	const IMPORT_CHUNK_LENGTH = 3072;
+
+	// base64 length of an image, 512 KiB decoded
+	const IMAGE_LENGTH = 699052;
+
+	// base64 length of an uploaded chunk, the server reads a message in
+	// reads of 4096 bytes so that a chunk has to fit in one of them
+	const IMAGE_CHUNK_LENGTH = 3072;
+
+	// base64 length sent per reply to request-image
+	const IMAGE_PAGE_LENGTH = 262144;
+
+	// images a session may have uploading or uploaded but not placed yet
+	const IMAGE_PENDING_LIMIT = 4;
+
 	private $goodColors = array(
 		'#FF0000',
 		'#00FF00',
@@ -139,7 +662,10 @@ class ServerController {
 		'#FF00FF'
 	);
 
-	private $drawnLines = array();
+	private $boards = array();
+
+	// secret token of every session claimed so far, keyed by the session
+	private $sessionTokens = array();
 
 	private static function randomColor(){
 		$color = '';
@@ -152,17 +678,47 @@ class ServerController {
 	}
 
 	public function helloAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
-		$color = null;
+		$color = $command->getParam('color');
+
+		// reconnecting client keeps its previous color
+		if (!is_string($color) || !preg_match('/^#[0-9A-F]{6}$/i', $color)) {
+			if ($sender->id < count($this->goodColors)) {
+				$color = $this->goodColors[$sender->id - 1];
+			} else {
+				$color = self::randomColor();
+			}
+		}
+
+		$sender->set('color', $color);
+
+		// identifies the user's strokes across reconnects, the session is the
+		// public prefix of every stroke id so it is claimed with a token only
+		// its client knows
+		$session = $command->getParam('session');
+		$token = $command->getParam('token');
+
+		if (is_string($session) && preg_match('/^[a-z0-9]{1,32}$/', $session) && is_string($token) && preg_match('/^[a-z0-9]{16,64}$/', $token)) {
+			if (isset($this->sessionTokens[$session]) && $this->sessionTokens[$session] !== $token) {
+				throw new Exception('Session "' . $session . '" belongs to another user');
+			}
 
-		if ($sender->id < count($this->goodColors)) {
-			$color = $this->goodColors[$sender->id - 1];
+			$this->sessionTokens[$session] = $token;
+			$sender->set('session', $session);
 		} else {
-			$color = self::randomColor();
+			$sender->set('session', 'client' . $sender->id);
 		}
 
-		$sender->set('color', $color);
+		$room = $command->getParam('room', Rooms::DEFAULT_ROOM);
+
+		if (!Rooms::isValidName($room)) {
+			throw new Exception('Invalid room name "' . $room . '"');
+		}
+
+		$sender->set('room', $room);
 
-		$clients = $server->getClients();
+		Rooms::broadcast($server, $room, new SocketCommand('client', 'user-connecting', array('id' => $sender->id)), $sender);
+
+		$clients = Rooms::getClients($server, $room);
 		$existingUsers = array();
 
 		foreach ($clients as $client) {
@@ -171,18 +727,25 @@ class ServerController {
 					'id' => $client->id,
 					'color' => $client->get('color'),
 					'name' => $client->get('name'),
+					'quality' => $client->get('quality'),
+					'presence' => $client->get('presence'),
+					'session' => $client->get('session'),
 				);
 			}
 		}
 
-		$sender->send(new SocketCommand('client', 'welcome', array(
+		SocketCodecs::send($sender, new SocketCommand('client', 'welcome', array(
 			'id' => $sender->id,
 			'color' => $sender->get('color'),
 			'users' => $existingUsers,
 		)));
 
 		foreach ($clients as $client) {
-			$client->send(new SocketCommand('client', 'user-connected', array('id' => $sender->id, 'color' => $color)));
+			SocketCodecs::send($client, new SocketCommand('client', 'user-connected', array(
+				'id' => $sender->id,
+				'color' => $color,
+				'session' => $sender->get('session')
+			)));
 		}
 	}
 
@@ -195,79 +758,934 @@ class ServerController {
 
 		$sender->set('name', $name);
 
-		$clients = $server->getClients();
+		$clients = Rooms::getClients($server, $sender->get('room'));
 
 		foreach ($clients as $client) {
-			$client->send(new SocketCommand('client', 'name-changed', array('id' => $sender->id, 'name' => $name)));
+			SocketCodecs::send($client, new SocketCommand('client', 'name-changed', array('id' => $sender->id, 'name' => $name)));
 		}
 	}
 
-	public function strokeLineAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
-		$line = array(
-			'color' => $sender->get('color'),
-			'x1' => $command->getParam('x1'),
-			'y1' => $command->getParam('y1'),
-			'x2' => $command->getParam('x2'),
-			'y2' => $command->getParam('y2')
-		);
+	public function beginStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$strokeId = $this->getNewStrokeId($sender, $command);
+		$tool = $command->getParam('tool', 'pen');
 
-		$senderLines = $sender->get('graphics.lines', array());
-		$senderLines[] = $line;
-		$sender->set('graphics.lines', $senderLines);
+		if (!in_array($tool, array('pen', 'eraser'), true)) {
+			throw new Exception('Invalid freehand tool "' . $tool . '"');
+		}
 
-		$this->drawnLines[] = $line;
+		$time = self::getTime();
+		$points = self::getPoints($command);
 
-		$clients = $server->getClients();
+		$stroke = $this->createStroke($sender, $command, $strokeId, $tool, $points, $time);
 
-		foreach ($clients as $client) {
-			$client->send(new SocketCommand('client', 'stroke-line', array(
-				'id' => $sender->id,
-				'x1' => $command->getParam('x1'),
-				'y1' => $command->getParam('y1'),
-				'x2' => $command->getParam('x2'),
-				'y2' => $command->getParam('y2')
-			)));
-		}
+		$this->broadcastOperation($server, $sender, 'begin-stroke', array(
+			'id' => $sender->id,
+			'stroke' => $strokeId,
+			'clock' => $stroke['clock'],
+			'tool' => $stroke['tool'],
+			'color' => $stroke['color'],
+			'width' => $stroke['width'],
+			'opacity' => $stroke['opacity'],
+			'points' => $points,
+			'time' => $time
+		));
 	}
 
-	public function requestRestoreAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
-		$sender->send(new SocketCommand('client', 'restore', array(
-			'lines' => $this->drawnLines
-		)));
-	}
-}
+	public function extendStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
 
-class Server implements SocketListener {
-	public function onMessageRecieved(
-		SocketServer $server,
-		SocketClient $sender,
-		$message
-	) {
-		$request = json_decode($message, true);
+		$strokeId = $this->getOwnStrokeId($sender, $command);
+		$points = self::getPoints($command);
+		$time = self::getTime();
 
-		if (isset($request)) {
-			SocketRouter::route($server, $sender, $request);
-		}
+		$board->strokes[$strokeId]['points'] = array_merge($board->strokes[$strokeId]['points'], $points);
+		$board->strokes[$strokeId]['timeline'][] = array(count($board->strokes[$strokeId]['points']) / 2, $time);
+		$board->strokes[$strokeId]['updateTime'] = $time;
+
+		$this->broadcastOperation($server, $sender, 'extend-stroke', array(
+			'id' => $sender->id,
+			'stroke' => $strokeId,
+			'points' => $points,
+			'time' => $time
+		));
 	}
 
-	public function onClientConnected(SocketServer $server, SocketClient $newClient) {
-		$clients = $server->getClients();
+	public function endStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
 
-		foreach ($clients as $client) {
-			if ($newClient != $client) {
-				$client->send(new SocketCommand('client', 'user-connecting', array('id' => $newClient->id)));
-			}
-		}
-	}
+		$strokeId = $this->getOwnStrokeId($sender, $command);
+		$time = self::getTime();
 
-	public function onClientDisconnected(SocketServer $server, SocketClient $leftClient) {
-		$clients = $server->getClients();
+		$board->strokes[$strokeId]['endTime'] = $time;
 
-		foreach ($clients as $client) {
-			if ($client != $leftClient) {
-				$client->send(new SocketCommand('client', 'user-disconnected', array('id' => $leftClient->id)));
+		$this->broadcastOperation($server, $sender, 'end-stroke', array(
+			'id' => $sender->id,
+			'stroke' => $strokeId,
+			'time' => $time
+		));
+	}
+
+	public function addLineAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$this->addShape($server, $sender, $command, 'line');
+	}
+
+	public function addRectangleAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$this->addShape($server, $sender, $command, 'rectangle');
+	}
+
+	public function addEllipseAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$this->addShape($server, $sender, $command, 'ellipse');
+	}
+
+	public function addTextAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$this->addShape($server, $sender, $command, 'text');
+	}
+
+	// placed once the image is uploaded under the id of the stroke
+	public function addImageAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		if (!isset($board->images[$command->getParam('stroke')])) {
+			throw new Exception('Image "' . $command->getParam('stroke') . '" has not been uploaded');
+		}
+
+		$this->addShape($server, $sender, $command, 'image');
+
+		unset($board->images[$command->getParam('stroke')]['client']);
+	}
+
+	// image bytes are uploaded in chunks one request at a time, a chunk at
+	// offset zero starts the upload over
+	public function uploadImageAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$imageId = $this->getNewStrokeId($sender, $command);
+		$type = $command->getParam('type');
+		$length = $command->getParam('length');
+		$offset = $command->getParam('offset');
+		$data = $command->getParam('data');
+
+		if (isset($board->images[$imageId])) {
+			throw new Exception('Image "' . $imageId . '" has already been uploaded');
+		}
+
+		if (!in_array($type, array('image/png', 'image/jpeg', 'image/gif', 'image/webp'), true)) {
+			throw new Exception('Image expected as PNG, JPEG, GIF or WebP');
+		}
+
+		if (!is_int($length) || $length <= 0 || $length > self::IMAGE_LENGTH || $length % 4 != 0) {
+			throw new Exception('Image expected to be base64 encoded in up to ' . self::IMAGE_LENGTH . ' bytes');
+		}
+
+		if (!is_string($data) || $data === '' || strlen($data) > self::IMAGE_CHUNK_LENGTH || !preg_match('/^[A-Za-z0-9+\/=]+$/', $data)) {
+			throw new Exception('Image chunk expected as base64 of up to ' . self::IMAGE_CHUNK_LENGTH . ' bytes');
+		}
+
+		if ($offset === 0) {
+			unset($board->uploads[$imageId]);
+
+			if ($this->getPendingImageCount($board, $sender->get('session')) >= self::IMAGE_PENDING_LIMIT) {
+				throw new Exception('Only ' . self::IMAGE_PENDING_LIMIT . ' images can be uploaded before placing them');
+			}
+
+			$board->uploads[$imageId] = array('client' => $sender->id, 'type' => $type, 'length' => $length, 'data' => '');
+		}
+
+		if (
+			!isset($board->uploads[$imageId]) || $board->uploads[$imageId]['type'] !== $type
+			|| $board->uploads[$imageId]['length'] !== $length || $offset !== strlen($board->uploads[$imageId]['data'])
+			|| $offset + strlen($data) > $length
+		) {
+			throw new Exception('Image chunk of "' . $imageId . '" does not continue its upload');
+		}
+
+		$upload = $board->uploads[$imageId];
+		$upload['data'] .= $data;
+
+		if (strlen($upload['data']) < $length) {
+			$board->uploads[$imageId] = $upload;
+		} else {
+			unset($board->uploads[$imageId]);
+
+			if (base64_decode($upload['data'], true) === false) {
+				throw new Exception('Image "' . $imageId . '" is not valid base64');
+			}
+
+			$board->images[$imageId] = array('client' => $sender->id, 'type' => $type, 'data' => $upload['data']);
+		}
+
+		SocketCodecs::send($sender, new SocketCommand('client', 'image-uploaded', array(
+			'stroke' => $imageId,
+			'offset' => strlen($upload['data']),
+			'complete' => strlen($upload['data']) == $length
+		), $command->getId()));
+	}
+
+	// images are fetched by the clients that show them, a page at a time
+	public function requestImageAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$imageId = $command->getParam('stroke');
+		$offset = max(0, (int)$command->getParam('offset', 0));
+
+		if (!is_string($imageId) || !isset($board->images[$imageId])) {
+			throw new Exception('Image "' . $imageId . '" not found');
+		}
+
+		$image = $board->images[$imageId];
+		$length = strlen($image['data']);
+		$next = $offset + self::IMAGE_PAGE_LENGTH;
+
+		SocketCodecs::send($sender, new SocketCommand('client', 'image', array(
+			'stroke' => $imageId,
+			'type' => $image['type'],
+			'data' => (string)substr($image['data'], $offset, self::IMAGE_PAGE_LENGTH),
+			'offset' => $offset,
+			'length' => $length,
+			'next' => $next < $length ? $next : null
+		), $command->getId()));
+	}
+
+	// uploads of the session and images it uploaded without placing them
+	private function getPendingImageCount(Board $board, $session) {
+		$count = 0;
+
+		foreach (array_merge(array_keys($board->uploads), array_keys($board->images)) as $imageId) {
+			if (strstr($imageId, '-', true) === $session && !isset($board->strokes[$imageId])) {
+				$count++;
+			}
+		}
+
+		return $count;
+	}
+
+	// shapes are stored as finished strokes so undo and restore treat them alike
+	private function addShape(SocketServer $server, SocketClient $sender, SocketCommand $command, $tool) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $this->getNewStrokeId($sender, $command);
+		$points = self::getPoints($command);
+		$text = null;
+
+		if ($tool == 'text') {
+			$text = $command->getParam('text');
+
+			if (!is_string($text) || $text === '' || strlen($text) > 500) {
+				throw new Exception('Text expected as a string of 1 to 500 bytes');
+			}
+
+			if (count($points) != 2) {
+				throw new Exception('Text expected to have a single point');
+			}
+		} else if (count($points) != 4) {
+			throw new Exception('Shape "' . $tool . '" expected to have a start and an end point');
+		}
+
+		$time = self::getTime();
+		$stroke = $this->createStroke($sender, $command, $strokeId, $tool, $points, $time);
+
+		$board->strokes[$strokeId]['text'] = $text;
+		$board->strokes[$strokeId]['endTime'] = $time;
+
+		$this->broadcastOperation($server, $sender, 'add-' . $tool, array(
+			'id' => $sender->id,
+			'stroke' => $strokeId,
+			'clock' => $stroke['clock'],
+			'color' => $stroke['color'],
+			'width' => $stroke['width'],
+			'opacity' => $stroke['opacity'],
+			'points' => $points,
+			'text' => $text,
+			'time' => $time
+		));
+	}
+
+	// strokes a session kept that the board lost, because the server has been
+	// restarted or they were drawn while disconnected, are imported one at a
+	// time as base64 encoded JSON in chunks, a chunk at offset zero starts
+	// the import over
+	public function importStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $command->getParam('stroke');
+		$length = $command->getParam('length');
+		$offset = $command->getParam('offset');
+		$data = $command->getParam('data');
+
+		if (!is_string($strokeId) || !is_int($length) || $length <= 0 || $length > self::IMPORT_LENGTH) {
+			throw new Exception('Stroke expected as base64 encoded JSON of up to ' . self::IMPORT_LENGTH . ' bytes');
+		}
+
+		// only the session that drew a stroke can put it back
+		if (strstr($strokeId, '-', true) !== $sender->get('session')) {
+			throw new Exception('Stroke "' . $strokeId . '" belongs to another user');
+		}
+
+		if (!is_string($data) || $data === '' || strlen($data) > self::IMPORT_CHUNK_LENGTH) {
+			throw new Exception('Stroke chunk expected as up to ' . self::IMPORT_CHUNK_LENGTH . ' bytes');
+		}
+
+		if ($offset === 0) {
+			$board->imports[$sender->id] = array('stroke' => $strokeId, 'length' => $length, 'data' => '');
+		}
+
+		if (
+			!isset($board->imports[$sender->id]) || $board->imports[$sender->id]['stroke'] !== $strokeId
+			|| $board->imports[$sender->id]['length'] !== $length || $offset !== strlen($board->imports[$sender->id]['data'])
+			|| $offset + strlen($data) > $length
+		) {
+			throw new Exception('Stroke chunk of "' . $strokeId . '" does not continue its import');
+		}
+
+		$import = $board->imports[$sender->id];
+		$import['data'] .= $data;
+		$complete = strlen($import['data']) == $length;
+		$imported = false;
+
+		if (!$complete) {
+			$board->imports[$sender->id] = $import;
+		} else {
+			unset($board->imports[$sender->id]);
+
+			$stroke = self::getImportedStroke(json_decode(base64_decode($import['data']), true));
+
+			// images can only be placed again while the board still has them
+			if (
+				$stroke !== null && $stroke['id'] === $strokeId && !isset($board->strokes[$strokeId])
+				&& ($stroke['tool'] != 'image' || isset($board->images[$strokeId]))
+			) {
+				$board->strokes[$strokeId] = $stroke;
+				$board->strokeSessions[$strokeId] = $sender->get('session');
+
+				$this->broadcastOperation($server, $sender, 'import-strokes', array('strokes' => array($stroke)));
+
+				$imported = true;
+			}
+		}
+
+		SocketCodecs::send($sender, new SocketCommand('client', 'stroke-imported', array(
+			'stroke' => $strokeId,
+			'offset' => strlen($import['data']),
+			'complete' => $complete,
+			'imported' => $imported
+		), $command->getId()));
+	}
+
+	// drops what the client left unfinished
+	public function clientDisconnected(SocketServer $server, SocketClient $client) {
+		$room = $client->get('room');
+
+		if ($room === null || !isset($this->boards[$room])) {
+			return;
+		}
+
+		$board = $this->boards[$room];
+
+		unset($board->imports[$client->id]);
+
+		foreach ($board->uploads as $imageId => $upload) {
+			if ($upload['client'] === $client->id) {
+				unset($board->uploads[$imageId]);
+			}
+		}
+
+		foreach ($board->images as $imageId => $image) {
+			if (isset($image['client']) && $image['client'] === $client->id) {
+				unset($board->images[$imageId]);
+			}
+		}
+	}
+
+	public function undoStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$this->setStrokeDeleted($server, $sender, $command, true, 'undo-stroke');
+	}
+
+	public function redoStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$this->setStrokeDeleted($server, $sender, $command, false, 'redo-stroke');
+	}
+
+	private function setStrokeDeleted(SocketServer $server, SocketClient $sender, SocketCommand $command, $deleted, $action) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $this->getOwnStrokeId($sender, $command);
+		$time = self::getTime();
+
+		if (!$deleted && $board->strokes[$strokeId]['tool'] == 'image' && !isset($board->images[$strokeId])) {
+			throw new Exception('Image "' . $strokeId . '" has been deleted');
+		}
+
+		$this->updateStroke($server, $sender, $command, $strokeId, $action, array(
+			'deleted' => $deleted,
+			'deleteTime' => $deleted ? $time : null
+		), $time);
+	}
+
+	// the select tool moves, scales and rotates the strokes of any user
+	public function transformStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$strokeId = $this->getStrokeId($sender, $command);
+		$transform = self::getTransform($command->getParam('transform'));
+
+		if ($transform === null) {
+			throw new Exception('Transform expected as x, y, scale and rotation');
+		}
+
+		$values = array('transform' => $transform);
+
+		$this->updateStroke($server, $sender, $command, $strokeId, 'transform-stroke', $values, self::getTime(), $values);
+	}
+
+	// the select tool deletes the strokes of any user, unlike undo this can
+	// not be taken back so the bytes of a deleted image are dropped
+	public function deleteStrokeAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $this->getStrokeId($sender, $command);
+		$time = self::getTime();
+
+		$this->updateStroke($server, $sender, $command, $strokeId, 'delete-stroke', array(
+			'deleted' => true,
+			'deleteTime' => $time
+		), $time);
+
+		if ($board->strokes[$strokeId]['deleted'] && $board->strokes[$strokeId]['tool'] == 'image') {
+			unset($board->images[$strokeId]);
+		}
+	}
+
+	// fields are updated last-writer-wins by the clock of the command, the same
+	// way as on the clients, and the update is broadcast even when it lost
+	private function updateStroke(SocketServer $server, SocketClient $sender, SocketCommand $command, $strokeId, $action, array $values, $time, array $params = array()) {
+		$board = $this->getBoard($sender);
+
+		$clock = self::getClock($sender, $command);
+		$stroke = $board->strokes[$strokeId];
+		$updated = false;
+
+		foreach ($values as $name => $value) {
+			$current = isset($stroke['clocks'][$name]) ? $stroke['clocks'][$name] : null;
+
+			if ($current !== null && ($clock === null || self::compareClocks($clock, $current) <= 0)) {
+				continue;
+			}
+
+			$stroke[$name] = $value;
+			$updated = true;
+
+			if ($clock !== null) {
+				$stroke['clocks'][$name] = $clock;
+			}
+		}
+
+		if ($updated) {
+			$stroke['updateTime'] = $time;
+			$board->strokes[$strokeId] = $stroke;
+		}
+
+		$this->broadcastOperation($server, $sender, $action, array_merge(array(
+			'id' => $sender->id,
+			'stroke' => $strokeId,
+			'clock' => $clock,
+			'time' => $time
+		), $params));
+	}
+
+	// drawing commands carry the board version they bring the board to, the
+	// sender only gets the version so it can tell gaps from its own commands
+	private function broadcastOperation(SocketServer $server, SocketClient $sender, $action, array $params) {
+		$board = $this->getBoard($sender);
+
+		$params['version'] = ++$board->version;
+		$board->operations[$board->version] = array('action' => $action, 'parameters' => $params);
+
+		if (count($board->operations) >= self::SNAPSHOT_OPERATIONS) {
+			$board->snapshot = array_values($board->strokes);
+			$board->snapshotVersion = $board->version;
+			$board->operations = array();
+		}
+
+		self::broadcast($server, new SocketCommand('client', $action, $params), $sender);
+
+		SocketCodecs::send($sender, new SocketCommand('client', 'board-version', array('version' => $board->version)));
+	}
+
+	private function createStroke(SocketClient $sender, SocketCommand $command, $strokeId, $tool, array $points, $time) {
+		$board = $this->getBoard($sender);
+
+		$color = $command->getParam('color');
+
+		if (!is_string($color) || !preg_match('/^#[0-9A-F]{6}$/i', $color)) {
+			$color = $sender->get('color');
+		}
+
+		$board->strokes[$strokeId] = array(
+			'id' => $strokeId,
+			'author' => $sender->id,
+			'tool' => $tool,
+			'color' => $color,
+			'width' => max(1, min(100, (float)$command->getParam('width', 3))),
+			'opacity' => max(0.05, min(1, (float)$command->getParam('opacity', 1))),
+			'points' => $points,
+			'text' => null,
+			// point count reached at every server time, replayed by the clients
+			'timeline' => array(array(count($points) / 2, $time)),
+			// Lamport clocks of the insert and of the fields updated since
+			'clock' => self::getClock($sender, $command),
+			'clocks' => array(),
+			'startTime' => $time,
+			'updateTime' => $time,
+			'endTime' => null,
+			'deleted' => false,
+			'deleteTime' => null,
+			'transform' => null
+		);
+
+		$board->strokeSessions[$strokeId] = $sender->get('session');
+
+		return $board->strokes[$strokeId];
+	}
+
+	private function getNewStrokeId(SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $command->getParam('stroke');
+
+		if (!is_string($strokeId) || !preg_match('/^[A-Za-z0-9_-]{1,64}$/', $strokeId)) {
+			throw new Exception('Invalid stroke id');
+		}
+
+		// stroke ids start with the session that draws them
+		if (strstr($strokeId, '-', true) !== $sender->get('session')) {
+			throw new Exception('Stroke "' . $strokeId . '" belongs to another user');
+		}
+
+		if (isset($board->strokes[$strokeId])) {
+			throw new Exception('Stroke "' . $strokeId . '" already exists');
+		}
+
+		return $strokeId;
+	}
+
+	private function getStrokeId(SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $command->getParam('stroke');
+
+		if (!is_string($strokeId) || !isset($board->strokes[$strokeId])) {
+			throw new Exception('Stroke "' . $strokeId . '" not found');
+		}
+
+		return $strokeId;
+	}
+
+	private function getOwnStrokeId(SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$strokeId = $this->getStrokeId($sender, $command);
+
+		if ($board->strokeSessions[$strokeId] != $sender->get('session')) {
+			throw new Exception('Stroke "' . $strokeId . '" belongs to another user');
+		}
+
+		return $strokeId;
+	}
+
+	// Lamport clock of the command as a counter and site pair, the site being
+	// the session of the sender, or null for commands made without one
+	private static function getClock(SocketClient $sender, SocketCommand $command) {
+		$clock = $command->getParam('clock');
+
+		if ($clock === null) {
+			return null;
+		}
+
+		if (!self::isClock($clock) || $clock[1] !== $sender->get('session')) {
+			throw new Exception('Clock expected as a counter and the session');
+		}
+
+		return array($clock[0], $clock[1]);
+	}
+
+	private static function isClock($clock) {
+		return is_array($clock) && count($clock) == 2 && isset($clock[0], $clock[1])
+			&& is_int($clock[0]) && $clock[0] >= 0
+			&& is_string($clock[1]) && preg_match('/^[a-z0-9]{1,32}$/', $clock[1]);
+	}
+
+	// orders the same as BoardDocument.compareClocks in lib/draw/main.js
+	private static function compareClocks(array $a, array $b) {
+		if ($a[0] != $b[0]) {
+			return $a[0] - $b[0];
+		}
+
+		return strcmp($a[1], $b[1]);
+	}
+
+	// moved by x, y and scaled and rotated in degrees around the center of the
+	// stroke, or null when it is not valid
+	private static function getTransform($transform) {
+		if (!is_array($transform) || !isset($transform['x'], $transform['y'], $transform['scale'], $transform['rotation'])) {
+			return null;
+		}
+
+		foreach (array('x', 'y', 'scale', 'rotation') as $name) {
+			if ((!is_int($transform[$name]) && !is_float($transform[$name])) || !is_finite($transform[$name])) {
+				return null;
 			}
 		}
+
+		return array(
+			'x' => $transform['x'],
+			'y' => $transform['y'],
+			'scale' => max(0.05, min(20, $transform['scale'])),
+			'rotation' => fmod($transform['rotation'], 360)
+		);
+	}
+
+	// the stroke as stored on the board or null when it is not valid, imported
+	// strokes are finished
+	private static function getImportedStroke($data) {
+		$pointCounts = array('line' => 4, 'rectangle' => 4, 'ellipse' => 4, 'text' => 2, 'image' => 4);
+
+		if (
+			!is_array($data) || !isset($data['id'], $data['tool'], $data['points'])
+			|| !is_string($data['id']) || !preg_match('/^[a-z0-9]{1,32}-[0-9]{1,16}$/', $data['id'])
+			|| !in_array($data['tool'], array('pen', 'eraser', 'line', 'rectangle', 'ellipse', 'text', 'image'), true)
+			|| !is_array($data['points']) || count($data['points']) == 0 || count($data['points']) % 2 != 0
+			|| (isset($pointCounts[$data['tool']]) && count($data['points']) != $pointCounts[$data['tool']])
+		) {
+			return null;
+		}
+
+		$points = array_values($data['points']);
+
+		foreach ($points as $value) {
+			if (!is_int($value) && !is_float($value)) {
+				return null;
+			}
+		}
+
+		$text = null;
+
+		if ($data['tool'] == 'text') {
+			$text = isset($data['text']) ? $data['text'] : null;
+
+			if (!is_string($text) || $text === '' || strlen($text) > 500) {
+				return null;
+			}
+		}
+
+		$time = self::getTime();
+		$startTime = isset($data['startTime']) && is_numeric($data['startTime']) ? $data['startTime'] + 0 : $time;
+		$updateTime = isset($data['updateTime']) && is_numeric($data['updateTime']) ? $data['updateTime'] + 0 : $startTime;
+		$endTime = isset($data['endTime']) && is_numeric($data['endTime']) ? $data['endTime'] + 0 : $updateTime;
+		$deleted = isset($data['deleted']) && $data['deleted'] === true;
+		$timeline = array();
+
+		if (isset($data['timeline']) && is_array($data['timeline'])) {
+			foreach ($data['timeline'] as $entry) {
+				if (!is_array($entry) || count($entry) != 2 || !is_int($entry[0]) || !is_numeric($entry[1])) {
+					$timeline = array();
+
+					break;
+				}
+
+				$timeline[] = array($entry[0], $entry[1] + 0);
+			}
+		}
+
+		if (empty($timeline)) {
+			$timeline[] = array(count($points) / 2, $startTime);
+		}
+
+		$clocks = array();
+
+		if (isset($data['clocks']) && is_array($data['clocks'])) {
+			foreach ($data['clocks'] as $name => $clock) {
+				if (in_array($name, array('deleted', 'deleteTime', 'transform'), true) && self::isClock($clock)) {
+					$clocks[$name] = array($clock[0], $clock[1]);
+				}
+			}
+		}
+
+		return array(
+			'id' => $data['id'],
+			'author' => isset($data['author']) && is_int($data['author']) ? $data['author'] : 0,
+			'tool' => $data['tool'],
+			'color' => isset($data['color']) && is_string($data['color']) && preg_match('/^#[0-9A-F]{6}$/i', $data['color']) ? $data['color'] : '#FFFFFF',
+			'width' => max(1, min(100, isset($data['width']) ? (float)$data['width'] : 3)),
+			'opacity' => max(0.05, min(1, isset($data['opacity']) ? (float)$data['opacity'] : 1)),
+			'points' => $points,
+			'text' => $text,
+			'timeline' => $timeline,
+			'clock' => isset($data['clock']) && self::isClock($data['clock']) ? array($data['clock'][0], $data['clock'][1]) : null,
+			'clocks' => $clocks,
+			'startTime' => $startTime,
+			'updateTime' => $updateTime,
+			'endTime' => $endTime,
+			'deleted' => $deleted,
+			'deleteTime' => $deleted ? (isset($data['deleteTime']) && is_numeric($data['deleteTime']) ? $data['deleteTime'] + 0 : $updateTime) : null,
+			'transform' => isset($data['transform']) ? self::getTransform($data['transform']) : null
+		);
+	}
+
+	// flat list of x, y pairs
+	private static function getPoints(SocketCommand $command) {
+		$points = $command->getParam('points');
+
+		if (!is_array($points) || count($points) == 0 || count($points) % 2 != 0) {
+			throw new Exception('Points expected as a list of x, y pairs');
+		}
+
+		$points = array_values($points);
+
+		foreach ($points as $value) {
+			if (!is_int($value) && !is_float($value)) {
+				throw new Exception('Points expected as a list of x, y pairs');
+			}
+		}
+
+		return $points;
+	}
+
+	private function getBoard(SocketClient $sender) {
+		$room = $sender->get('room');
+
+		if ($room === null) {
+			throw new Exception('Join a room first');
+		}
+
+		if (!isset($this->boards[$room])) {
+			$this->boards[$room] = new Board();
+		}
+
+		return $this->boards[$room];
+	}
+
+	private static function getTime() {
+		return (int)round(microtime(true) * 1000);
+	}
+
+	// sends to the other clients in the room of given client
+	private static function broadcast(SocketServer $server, SocketCommand $command, SocketClient $except) {
+		foreach (Rooms::getClients($server, $except->get('room')) as $client) {
+			if ($client !== $except) {
+				SocketCodecs::send($client, $command);
+			}
+		}
+	}
+
+	public function pingAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		// the server time lets the client timestamp its strokes on this clock
+		SocketCodecs::send($sender, new SocketCommand('client', 'pong', array(
+			'time' => $command->getParam('time'),
+			'serverTime' => self::getTime()
+		), $command->getId()));
+	}
+
+	public function setQualityAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$quality = $command->getParam('quality');
+
+		if (!in_array($quality, array('unknown', 'good', 'fair', 'poor'))) {
+			throw new Exception('Invalid connection quality "' . $quality . '"');
+		}
+
+		$sender->set('quality', $quality);
+
+		$clients = Rooms::getClients($server, $sender->get('room'));
+
+		foreach ($clients as $client) {
+			SocketCodecs::send($client, new SocketCommand('client', 'quality-changed', array(
+				'id' => $sender->id,
+				'quality' => $quality,
+				'latency' => (int)$command->getParam('latency')
+			)));
+		}
+	}
+
+	public function setPresenceAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$presence = $command->getParam('presence');
+
+		if (!in_array($presence, array('active', 'idle', 'away'))) {
+			throw new Exception('Invalid presence "' . $presence . '"');
+		}
+
+		$sender->set('presence', $presence);
+
+		$clients = Rooms::getClients($server, $sender->get('room'));
+
+		foreach ($clients as $client) {
+			SocketCodecs::send($client, new SocketCommand('client', 'presence-changed', array(
+				'id' => $sender->id,
+				'presence' => $presence
+			)));
+		}
+	}
+
+	// positions are only relayed, a reconnecting client sends a fresh one
+	public function cursorMovedAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$x = $command->getParam('x');
+		$y = $command->getParam('y');
+
+		if ((!is_int($x) && !is_float($x)) || (!is_int($y) && !is_float($y))) {
+			throw new Exception('Cursor position expected as x and y numbers');
+		}
+
+		self::broadcast($server, new SocketCommand('client', 'cursor-moved', array(
+			'id' => $sender->id,
+			'x' => $x,
+			'y' => $y
+		)), $sender);
+	}
+
+	// may be called before joining a room to render the lobby
+	public function listRoomsAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		SocketCodecs::send($sender, new SocketCommand('client', 'rooms', array(
+			'rooms' => Rooms::getList($server)
+		), $command->getId()));
+	}
+
+	// restores a page of the snapshot starting at given offset, the client asks
+	// for the next one until there are no more so the frames stay small and
+	// then for the operations since the snapshot version
+	public function requestRestoreAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$strokes = $board->snapshot;
+		$total = count($strokes);
+		$offset = max(0, (int)$command->getParam('offset', 0));
+		$page = array();
+		$points = 0;
+
+		for ($i = $offset; $i < $total && ($points < self::RESTORE_PAGE_POINTS || empty($page)); $i++) {
+			$page[] = $strokes[$i];
+			$points += count($strokes[$i]['points']) / 2;
+		}
+
+		SocketCodecs::send($sender, new SocketCommand('client', 'restore', array(
+			'strokes' => $page,
+			'offset' => $offset,
+			'total' => $total,
+			'next' => $i < $total ? $i : null,
+			'version' => $board->snapshotVersion
+		), $command->getId()));
+	}
+
+	public function requestOperationsAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$board = $this->getBoard($sender);
+
+		$from = (int)$command->getParam('from', $board->snapshotVersion + 1);
+
+		if ($from <= $board->snapshotVersion || $from > $board->version + 1) {
+			throw new Exception('Operations since version ' . $from . ' are not available, restore the board');
+		}
+
+		$operations = array();
+
+		for ($version = $from; $version <= $board->version && count($operations) < self::OPERATIONS_PAGE_SIZE; $version++) {
+			$operations[] = $board->operations[$version];
+		}
+
+		SocketCodecs::send($sender, new SocketCommand('client', 'operations', array(
+			'operations' => $operations,
+			'version' => $board->version
+		), $command->getId()));
+	}
+}
+
+class ChatController {
+
+	const HISTORY_SIZE = 100;
+
+	// keyed by room
+	private $messages = array();
+
+	private $lastMessageNumber = 0;
+
+	public function sayAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$room = $sender->get('room');
+		$text = $command->getParam('text');
+
+		if ($room === null) {
+			throw new Exception('Join a room first');
+		}
+
+		if (!is_string($text) || trim($text) === '' || strlen($text) > 1000) {
+			throw new Exception('Chat message expected as a string of 1 to 1000 bytes');
+		}
+
+		// name and color are kept so messages of users that left stay attributed
+		$message = array(
+			'number' => ++$this->lastMessageNumber,
+			'author' => $sender->id,
+			'name' => $sender->get('name'),
+			'color' => $sender->get('color'),
+			'text' => trim($text),
+			'time' => (int)round(microtime(true) * 1000)
+		);
+
+		$this->messages[$room][] = $message;
+
+		if (count($this->messages[$room]) > self::HISTORY_SIZE) {
+			array_shift($this->messages[$room]);
+		}
+
+		Rooms::broadcast($server, $room, new SocketCommand('chat', 'message', $message));
+	}
+
+	public function requestHistoryAction(SocketServer $server, SocketClient $sender, SocketCommand $command) {
+		$room = $sender->get('room');
+
+		SocketCodecs::send($sender, new SocketCommand('chat', 'history', array(
+			'messages' => isset($this->messages[$room]) ? $this->messages[$room] : array()
+		), $command->getId()));
+	}
+}
+
+class Server implements SocketListener {
+	public function onMessageRecieved(
+		SocketServer $server,
+		SocketClient $sender,
+		$message
+	) {
+		try {
+			$request = SocketCodecs::get($sender)->decode($message);
+		} catch (Exception $e) {
+			$server->log('Decoding message from #' . $sender->id . ' failed: ' . $e->getMessage());
+
+			return;
+		}
+
+		if (!is_array($request)) {
+			return;
+		}
+
+		try {
+			SocketRouter::route($server, $sender, $request);
+		} catch (Exception $e) {
+			$id = isset($request['id']) ? $request['id'] : null;
+
+			SocketCodecs::send($sender, new SocketCommand('client', 'error', array(
+				'message' => $e->getMessage(),
+				'code' => $e->getCode()
+			), $id));
+		}
+	}
+
+	// the room of a new client is only known once it says hello, so the room
+	// learns about it from ServerController::helloAction()
+	public function onClientConnected(SocketServer $server, SocketClient $newClient) {
+	}
+
+	public function onClientDisconnected(SocketServer $server, SocketClient $leftClient) {
+		$controller = SocketRouter::getController('server');
+
+		if ($controller !== null) {
+			$controller->clientDisconnected($server, $leftClient);
+		}
+
+		Rooms::broadcast($server, $leftClient->get('room'), new SocketCommand('client', 'user-disconnected', array(
+			'id' => $leftClient->id
+		)), $leftClient);
 	}
 
 	public function onLogMessage(
@@ -281,7 +1699,11 @@ class Server implements SocketListener {
 try {
 	$server = new Server();
 
+	SocketCodecs::add(new BinaryCodec());
+	SocketCodecs::add(new JsonCodec());
+
 	$webSocket = new SocketServer('socket', 8999);
+	$webSocket->setProtocols(SocketCodecs::getNames());
 	$webSocket->addListener($server);
 	$webSocket->start();
 } catch (Exception $e) {
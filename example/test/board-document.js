@@ -0,0 +1,242 @@
+// Runs random interleavings of inserts, updates and deletes made at several
+// sites of a BoardDocument, some of them restoring the board from a snapshot
+// of the server over what they have, and checks that every site ends up with
+// the same board, run with "node example/test/board-document.js [runs] [seed]"
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// the board code needs no browser to be loaded, only to be started
+var context = {window: {}, console: console};
+
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../lib/draw/main.js'), 'utf8'), context);
+
+var Stroke = context.Stroke;
+var BoardDocument = context.BoardDocument;
+var SocketCommand = context.SocketCommand;
+var CollabDraw = context.CollabDraw;
+
+var SITES = ['a', 'b', 'c'];
+var OPERATIONS = 60;
+var COLORS = ['#000000', '#ff0000', '#00ff00', '#0000ff'];
+var FIELDS = ['color', 'width', 'opacity', 'transform', 'deleted', 'deleteTime', 'text'];
+
+// seeded so that a failing run can be repeated
+var createRandom = function(seed) {
+	return function() {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+
+		return seed / 2147483648;
+	}
+}
+
+var pick = function(random, list) {
+	return list[Math.floor(random() * list.length)];
+}
+
+// operations are sent as JSON the way they are over the socket
+var copy = function(data) {
+	return JSON.parse(JSON.stringify(data));
+}
+
+// the board of a site restores itself the way it does in the browser, with
+// nothing drawn or sent
+var createApp = function(site) {
+	var app = new CollabDraw('localhost', 0, {});
+	var ignore = function() {};
+
+	app.sessionId = site;
+	app.document = new BoardDocument(site);
+	app.redraw = ignore;
+	app.scheduleRedraw = ignore;
+	app.queueRender = ignore;
+	app.renderInserted = ignore;
+	app.renderRestoreProgress = ignore;
+	app.requestRestorePage = ignore;
+	app.requestOperations = ignore;
+
+	return app;
+}
+
+var Site = function(id) {
+	this.id = id;
+	this.app = createApp(id);
+	this.document = this.app.document;
+	this.lastStrokeNumber = 0;
+	// operations from other sites not applied yet
+	this.inbox = [];
+
+	this.insert = function(random) {
+		var stroke = new Stroke(this.id + '-' + (++this.lastStrokeNumber), this.id, 'pen', pick(random, COLORS), 3, 1);
+
+		stroke.addPoints([random() * 100, random() * 100], 1000);
+		stroke.finish(1000);
+		stroke.clock = this.document.tick();
+
+		this.document.insert(stroke);
+
+		return {type: 'insert', stroke: copy(stroke.toData())};
+	}
+
+	this.update = function(random, id) {
+		var values = pick(random, [
+			{color: pick(random, COLORS)},
+			{width: 1 + Math.floor(random() * 10)},
+			{color: pick(random, COLORS), opacity: 0.5},
+			{transform: {x: Math.round(random() * 50), y: Math.round(random() * 50), scale: 1, rotation: 0}}
+		]);
+		var clock = this.document.tick();
+
+		this.document.update(id, copy(values), clock);
+
+		return {type: 'update', id: id, values: values, clock: clock};
+	}
+
+	// undo and redo are deletes the other way around
+	this.remove = function(random, id) {
+		var clock = this.document.tick();
+		var values = {deleted: random() < 0.7, deleteTime: clock[0]};
+
+		this.document.update(id, copy(values), clock);
+
+		return {type: 'update', id: id, values: values, clock: clock};
+	}
+
+	this.apply = function(operation) {
+		operation = copy(operation);
+
+		if (operation.type == 'insert') {
+			this.document.insert(Stroke.fromData(operation.stroke));
+		} else {
+			this.document.update(operation.id, operation.values, operation.clock);
+		}
+	}
+
+	// the snapshot is restored over the strokes the site has, like after a
+	// reconnect once the operations it missed were compacted into it, these
+	// are not delivered again
+	this.restore = function(snapshot) {
+		this.inbox = [];
+		this.app.requestRestore();
+		this.app.restoreAction(new SocketCommand('client', 'restore', {
+			strokes: copy(snapshot),
+			version: 1,
+			offset: 0,
+			total: snapshot.length,
+			next: null
+		}));
+		this.app.reconcileStrokes(false);
+	}
+
+	// only strokes this site knows about can be updated here
+	this.createOperation = function(random) {
+		var order = this.document.order;
+		var choice = random();
+
+		if (order.length == 0 || choice < 0.35) {
+			return this.insert(random);
+		} else if (choice < 0.75) {
+			return this.update(random, pick(random, order));
+		} else {
+			return this.remove(random, pick(random, order));
+		}
+	}
+
+	this.getSnapshot = function() {
+		var snapshot = [];
+
+		for (var i = 0; i < this.document.order.length; i++) {
+			snapshot.push(this.document.strokes[this.document.order[i]].toData());
+		}
+
+		return snapshot;
+	}
+
+	this.getState = function() {
+		var strokes = {};
+
+		for (var i = 0; i < this.document.order.length; i++) {
+			var stroke = this.document.strokes[this.document.order[i]];
+			var fields = {};
+
+			for (var j = 0; j < FIELDS.length; j++) {
+				fields[FIELDS[j]] = stroke[FIELDS[j]];
+			}
+
+			strokes[stroke.id] = fields;
+		}
+
+		return JSON.parse(JSON.stringify({order: this.document.order, strokes: strokes, pending: Object.keys(this.document.pending)}));
+	}
+}
+
+// operations are made at random sites and delivered to the others in any
+// order, some twice, some only after further operations were made
+var run = function(seed) {
+	var random = createRandom(seed);
+	var sites = [];
+	// the server gets every operation in the order they were made
+	var server = new Site('server');
+
+	for (var i = 0; i < SITES.length; i++) {
+		sites.push(new Site(SITES[i]));
+	}
+
+	var deliver = function(site) {
+		var index = Math.floor(random() * site.inbox.length);
+		var operation = site.inbox.splice(index, 1)[0];
+
+		site.apply(operation);
+
+		if (random() < 0.1) {
+			site.apply(operation);
+		}
+	}
+
+	for (var made = 0; made < OPERATIONS; made++) {
+		var origin = pick(random, sites);
+		var operation = origin.createOperation(random);
+
+		server.apply(operation);
+
+		for (var j = 0; j < sites.length; j++) {
+			if (sites[j] !== origin) {
+				sites[j].inbox.push(operation);
+			}
+		}
+
+		var receiver = pick(random, sites);
+
+		while (receiver.inbox.length > 0 && random() < 0.6) {
+			deliver(receiver);
+		}
+
+		if (random() < 0.05) {
+			pick(random, sites).restore(server.getSnapshot());
+		}
+	}
+
+	for (var k = 0; k < sites.length; k++) {
+		while (sites[k].inbox.length > 0) {
+			deliver(sites[k]);
+		}
+	}
+
+	var expected = server.getState();
+
+	assert.deepStrictEqual(expected.pending, [], 'Seed ' + seed + ': updates left pending at the server');
+
+	for (var l = 0; l < sites.length; l++) {
+		assert.deepStrictEqual(sites[l].getState(), expected, 'Seed ' + seed + ': site ' + sites[l].id + ' differs from the server');
+	}
+}
+
+var runs = parseInt(process.argv[2], 10) || 500;
+var firstSeed = parseInt(process.argv[3], 10) || 1;
+
+for (var seed = firstSeed; seed < firstSeed + runs; seed++) {
+	run(seed);
+}
+
+console.log('BoardDocument converged in ' + runs + ' runs from seed ' + firstSeed);